@@ -0,0 +1,33 @@
+const { releaseExpiredReservations } = require('../services/reservationService');
+const { sendExpiryAlerts } = require('../services/expiryService');
+
+/**
+ * Release every reservation past its expiry time
+ */
+const releaseReservations = async (req, res) => {
+    try {
+        const released = await releaseExpiredReservations();
+        return res.json({ status: "SUCCESS", message: `Released ${released} expired reservation(s)`, data: { released } });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Email alerts for batches expiring within EXPIRY_ALERT_DAYS that haven't been reported
+ */
+const expiryAlerts = async (req, res) => {
+    try {
+        const alerted = await sendExpiryAlerts();
+        return res.json({ status: "SUCCESS", message: `Sent expiry alerts for ${alerted} batch(es)`, data: { alerted } });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    releaseReservations,
+    expiryAlerts
+};
@@ -5,7 +5,7 @@ const mongoose = require('mongoose');
  * Add a new customer
  */
 const addCustomer = async (req, res) => {
-    const { firstName, lastName, email, phone, address, city, state } = req.body;
+    const { firstName, lastName, email, phone, address, city, state, emailNotifications } = req.body;
 
     if (!firstName || !lastName || !email || !phone || !address || !city || !state) {
         return res.status(400).json({ status: "FAILED", message: "All fields are required" });
@@ -35,6 +35,7 @@ const addCustomer = async (req, res) => {
             address,
             city,
             state,
+            emailNotifications: emailNotifications !== undefined ? emailNotifications : true,
             deletedAt: 0
         });
 
@@ -116,7 +117,7 @@ const getCustomerById = async (req, res) => {
  */
 const updateCustomer = async (req, res) => {
     const { id } = req.params;
-    const { firstName, lastName, email, phone, address, city, state } = req.body;
+    const { firstName, lastName, email, phone, address, city, state, emailNotifications } = req.body;
 
     // Validate required fields
     if (!firstName || !lastName || !email || !phone || !address || !city || !state) {
@@ -154,6 +155,7 @@ const updateCustomer = async (req, res) => {
         customer.address = address;
         customer.city = city;
         customer.state = state;
+        if (emailNotifications !== undefined) customer.emailNotifications = emailNotifications;
 
         await customer.save();
 
@@ -4,6 +4,10 @@ const Order = require('../model/Order');
 const Stock = require('../model/Stock');
 const Category = require('../model/Category');
 const mongoose = require('mongoose');
+const { VALUATION_METHODS, valueInventory } = require('../services/costingService');
+
+// Order value net of refunds recorded through returns
+const NET_ORDER_AMOUNT = { $subtract: ["$totalAmount", { $ifNull: ["$refundedAmount", 0] }] };
 
 /**
  * Get customer statistics
@@ -181,6 +185,17 @@ const countOrders = async (req, res) => {
             }}
         ]);
         
+        // Get outstanding receivables (unpaid balances of orders that weren't cancelled)
+        const receivables = await Order.aggregate([
+            { $match: { ...activeQuery, status: { $ne: 'Cancelled' }, $expr: { $gt: [Order.BALANCE_DUE, 0] } } },
+            { $group: {
+                _id: null,
+                outstanding: { $sum: Order.BALANCE_DUE },
+                orderCount: { $sum: 1 }
+            }},
+            { $project: { _id: 0, outstanding: 1, orderCount: 1 } }
+        ]);
+        
         // Get orders by status
         const statusCounts = await Order.aggregate([
             { $match: { deletedAt: 0 } },
@@ -199,7 +214,8 @@ const countOrders = async (req, res) => {
                 deleted: deletedCount,
                 total: totalCount,
                 sales: salesStats[0] || { totalSales: 0, avgOrderValue: 0, count: 0 },
-                byStatus: statusCounts
+                byStatus: statusCounts,
+                receivables: receivables[0] || { outstanding: 0, orderCount: 0 }
             }
         });
     } catch (err) {
@@ -277,7 +293,8 @@ const getRevenue = async (req, res) => {
             { $match: matchCriteria },
             { $group: {
                 _id: groupId,
-                revenue: { $sum: "$totalAmount" },
+                revenue: { $sum: NET_ORDER_AMOUNT },
+                refunds: { $sum: { $ifNull: ["$refundedAmount", 0] } },
                 orderCount: { $sum: 1 }
             }},
             { $sort: { "_id.year": 1, "_id.month": 1, "_id.day": 1, "_id.week": 1 } },
@@ -285,6 +302,7 @@ const getRevenue = async (req, res) => {
                 _id: 0,
                 period: "$_id",
                 revenue: 1,
+                refunds: 1,
                 orderCount: 1
             }}
         ]);
@@ -294,9 +312,10 @@ const getRevenue = async (req, res) => {
             { $match: matchCriteria },
             { $group: {
                 _id: null,
-                totalRevenue: { $sum: "$totalAmount" },
+                totalRevenue: { $sum: NET_ORDER_AMOUNT },
+                totalRefunds: { $sum: { $ifNull: ["$refundedAmount", 0] } },
                 totalOrders: { $sum: 1 },
-                avgOrderValue: { $avg: "$totalAmount" }
+                avgOrderValue: { $avg: NET_ORDER_AMOUNT }
             }}
         ]);
         
@@ -324,6 +343,7 @@ const getRevenue = async (req, res) => {
             return {
                 date: dateLabel,
                 revenue: item.revenue,
+                refunds: item.refunds,
                 orderCount: item.orderCount
             };
         });
@@ -332,7 +352,7 @@ const getRevenue = async (req, res) => {
             status: "SUCCESS",
             data: {
                 revenueByPeriod: formattedData,
-                summary: totalRevenue[0] || { totalRevenue: 0, totalOrders: 0, avgOrderValue: 0 }
+                summary: totalRevenue[0] || { totalRevenue: 0, totalRefunds: 0, totalOrders: 0, avgOrderValue: 0 }
             }
         });
     } catch (err) {
@@ -346,42 +366,59 @@ const getRevenue = async (req, res) => {
 };
 
 /**
- * Get stock statistics
+ * Get stock statistics, optionally for one location (?location)
  */
 const countStock = async (req, res) => {
     try {
+        const { location } = req.query;
+
+        if (location && !mongoose.Types.ObjectId.isValid(location)) {
+            return res.status(400).json({ status: "FAILED", message: "Invalid location ID" });
+        }
+
+        const stockFilter = { deletedAt: 0 };
+        let quantity = "$quantity";
+
+        // For a location, only its batches count and only the quantity held there
+        if (location) {
+            const locationId = new mongoose.Types.ObjectId(location);
+            stockFilter['locations.location'] = locationId;
+            quantity = { $sum: { $map: {
+                input: { $filter: { input: "$locations", cond: { $eq: ["$$this.location", locationId] } } },
+                in: "$$this.quantity"
+            }}};
+        }
+
         // Get total stock count
-        const totalStockCount = await Stock.countDocuments({ deletedAt: 0 });
+        const totalStockCount = await Stock.countDocuments(stockFilter);
         
         // Get stocks with low quantity alerts
         const lowStockCount = await Stock.countDocuments({ 
-            deletedAt: 0,
-            $expr: { $lte: ["$quantity", "$lowStockAlert"] }
+            ...stockFilter,
+            $expr: { $lte: [quantity, "$lowStockAlert"] }
         });
         
         // Get out of stock count
         const outOfStockCount = await Stock.countDocuments({
-            deletedAt: 0,
-            quantity: 0
+            ...stockFilter,
+            $expr: { $eq: [quantity, 0] }
         });
         
-        // Get total inventory value
+        // Get total inventory value at cost and at sale price, and the quantity on its way between locations
         const inventoryValue = await Stock.aggregate([
-            { $match: { deletedAt: 0 } },
-            { $lookup: {
-                from: "products",
-                localField: "product",
-                foreignField: "_id",
-                as: "productInfo"
-            }},
-            { $unwind: "$productInfo" },
+            { $match: stockFilter },
             { $group: {
                 _id: null,
                 totalValue: { 
-                    $sum: { $multiply: ["$quantity", "$productInfo.price"] }
-                }
+                    $sum: { $multiply: [quantity, { $ifNull: ["$costPrice", 0] }] }
+                },
+                retailValue: { $sum: { $multiply: [quantity, "$price"] } },
+                // Batches without a cost price can't be valued at cost
+                unvaluedBatches: { $sum: { $cond: [{ $eq: [{ $ifNull: ["$costPrice", null] }, null] }, 1, 0] } },
+                inTransit: { $sum: { $ifNull: ["$inTransitQuantity", 0] } }
             }}
         ]);
+        const round = (amount) => Math.round(amount * 100) / 100;
         
         return res.json({
             status: "SUCCESS",
@@ -389,7 +426,125 @@ const countStock = async (req, res) => {
                 totalStock: totalStockCount,
                 lowStock: lowStockCount,
                 outOfStock: outOfStockCount,
-                inventoryValue: inventoryValue[0]?.totalValue || 0
+                inventoryValue: round(inventoryValue[0]?.totalValue || 0),
+                retailValue: round(inventoryValue[0]?.retailValue || 0),
+                unvaluedBatches: inventoryValue[0]?.unvaluedBatches || 0,
+                ...(location ? {} : { inTransit: inventoryValue[0]?.inTransit || 0 })
+            }
+        });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ 
+            status: "FAILED", 
+            message: "Internal server error", 
+            error: err.message 
+        });
+    }
+};
+
+/**
+ * Get the value of stock on hand at cost (?method=fifo|weighted-average)
+ */
+const getInventoryValuation = async (req, res) => {
+    try {
+        const { method = 'fifo' } = req.query;
+
+        if (!VALUATION_METHODS.includes(method)) {
+            return res.status(400).json({ status: "FAILED", message: `Invalid method. Allowed values: ${VALUATION_METHODS.join(', ')}` });
+        }
+
+        const valuation = await valueInventory(method);
+
+        return res.json({ status: "SUCCESS", data: valuation });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ 
+            status: "FAILED", 
+            message: "Internal server error", 
+            error: err.message 
+        });
+    }
+};
+
+/**
+ * Get GST summary for a date range
+ */
+const getTaxSummary = async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+
+        // Default to the current month
+        const now = new Date();
+        const from = startDate ? new Date(startDate) : new Date(now.getFullYear(), now.getMonth(), 1);
+        const to = endDate ? new Date(endDate) : new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
+
+        if (isNaN(from) || isNaN(to)) {
+            return res.status(400).json({ status: "FAILED", message: "Invalid date range" });
+        }
+
+        // Cancelled orders are not sales
+        const matchCriteria = {
+            deletedAt: 0,
+            status: { $ne: 'Cancelled' },
+            createdAt: { $gte: from, $lte: to }
+        };
+
+        const orderTotals = await Order.aggregate([
+            { $match: matchCriteria },
+            { $group: {
+                _id: null,
+                totalSales: { $sum: "$totalAmount" },
+                salesExGst: { $sum: { $ifNull: ["$subtotal", "$totalAmount"] } },
+                gstCollected: { $sum: { $ifNull: ["$taxAmount", 0] } },
+                refunds: { $sum: { $ifNull: ["$refundedAmount", 0] } },
+                // Refunds give back GST in proportion to the order's tax
+                gstOnRefunds: { $sum: { $cond: [
+                    { $gt: ["$totalAmount", 0] },
+                    { $multiply: [
+                        { $ifNull: ["$refundedAmount", 0] },
+                        { $divide: [{ $ifNull: ["$taxAmount", 0] }, "$totalAmount"] }
+                    ]},
+                    0
+                ]}},
+                orderCount: { $sum: 1 }
+            }}
+        ]);
+
+        // Sales split by tax rate, e.g. GST-free sales at 0%
+        const byRate = await Order.aggregate([
+            { $match: matchCriteria },
+            { $unwind: "$items" },
+            { $match: { "items.taxRate": { $ne: null } } },
+            { $group: {
+                _id: "$items.taxRate",
+                sales: { $sum: "$items.netAmount" },
+                tax: { $sum: "$items.taxAmount" }
+            }},
+            { $sort: { _id: 1 } },
+            { $project: {
+                _id: 0,
+                rate: "$_id",
+                sales: { $round: ["$sales", 2] },
+                tax: { $round: ["$tax", 2] }
+            }}
+        ]);
+
+        const totals = orderTotals[0] || { totalSales: 0, salesExGst: 0, gstCollected: 0, refunds: 0, gstOnRefunds: 0, orderCount: 0 };
+        const round = (amount) => Math.round(amount * 100) / 100;
+
+        return res.json({
+            status: "SUCCESS",
+            data: {
+                period: { startDate: from, endDate: to },
+                orderCount: totals.orderCount,
+                totalSales: round(totals.totalSales),
+                salesExGst: round(totals.salesExGst),
+                gstFreeSales: round(byRate.filter(group => group.rate === 0).reduce((sum, group) => sum + group.sales, 0)),
+                gstCollected: round(totals.gstCollected),
+                refunds: round(totals.refunds),
+                gstOnRefunds: round(totals.gstOnRefunds),
+                netGst: round(totals.gstCollected - totals.gstOnRefunds),
+                byRate
             }
         });
     } catch (err) {
@@ -427,12 +582,19 @@ const getDashboardOverview = async (req, res) => {
             }},
             { $group: {
                 _id: null,
-                totalRevenue: { $sum: "$totalAmount" },
+                totalRevenue: { $sum: NET_ORDER_AMOUNT },
+                totalRefunds: { $sum: { $ifNull: ["$refundedAmount", 0] } },
                 orderCount: { $sum: 1 },
-                avgOrderValue: { $avg: "$totalAmount" }
+                avgOrderValue: { $avg: NET_ORDER_AMOUNT }
             }}
         ]);
         
+        // Get outstanding receivables
+        const receivables = await Order.aggregate([
+            { $match: { deletedAt: 0, status: { $ne: 'Cancelled' }, $expr: { $gt: [Order.BALANCE_DUE, 0] } } },
+            { $group: { _id: null, outstanding: { $sum: Order.BALANCE_DUE } } }
+        ]);
+        
         // Get low stock items
         const lowStockItems = await Stock.find({
             deletedAt: 0,
@@ -473,7 +635,8 @@ const getDashboardOverview = async (req, res) => {
             { $group: {
                 _id: "$categoryInfo._id",
                 categoryName: { $first: "$categoryInfo.name" },
-                totalSales: { $sum: { $multiply: ["$items.quantity", "$productInfo.price"] } },
+                // Use the line total captured at purchase, falling back to the batch price for older orders
+                totalSales: { $sum: { $ifNull: ["$items.lineTotal", { $multiply: ["$items.quantity", "$stockInfo.price"] }] } },
                 count: { $sum: 1 }
             }},
             { $sort: { totalSales: -1 } },
@@ -487,10 +650,12 @@ const getDashboardOverview = async (req, res) => {
                     customers: activeCustomers,
                     products: activeProducts,
                     orders: activeOrders,
-                    revenue: monthlyRevenue[0]?.totalRevenue || 0
+                    revenue: monthlyRevenue[0]?.totalRevenue || 0,
+                    receivables: receivables[0]?.outstanding || 0
                 },
                 monthlyStats: monthlyRevenue[0] || { 
                     totalRevenue: 0, 
+                    totalRefunds: 0, 
                     orderCount: 0, 
                     avgOrderValue: 0 
                 },
@@ -537,5 +702,7 @@ module.exports = {
     countOrders,
     getRevenue,
     countStock,
+    getInventoryValuation,
+    getTaxSummary,
     getDashboardOverview
 };
\ No newline at end of file
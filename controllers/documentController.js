@@ -0,0 +1,158 @@
+const Order = require('../model/Order');
+const Counter = require('../model/Counter');
+const mongoose = require('mongoose');
+const documentService = require('../services/documentService');
+
+/**
+ * Load an active order with the data the documents need
+ */
+const findOrderForDocument = (id) => {
+    return Order.findOne({ _id: id, deletedAt: 0 })
+        .populate('customer')
+        .populate({
+            path: 'items.stock',
+            populate: {
+                path: 'product',
+                model: 'Product'
+            }
+        });
+};
+
+/**
+ * Give the order the next invoice number if it doesn't have one yet
+ */
+const assignInvoiceNumber = async (order) => {
+    if (order.invoiceNumber) return;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        // Taking the number and saving it commit together, so an abort leaves no gap
+        const seq = await Counter.next('invoice', session);
+        const invoiceNumber = `INV-${String(seq).padStart(6, '0')}`;
+        const invoicedAt = Date.now();
+        const result = await Order.updateOne(
+            { _id: order._id, invoiceNumber: null },
+            { invoiceNumber, invoicedAt },
+            { session }
+        );
+
+        // Another request invoiced the order first: give the number back and use theirs
+        if (result.modifiedCount === 0) {
+            await session.abortTransaction();
+            session.endSession();
+
+            const current = await Order.findById(order._id).select('invoiceNumber invoicedAt');
+            order.invoiceNumber = current?.invoiceNumber;
+            order.invoicedAt = current?.invoicedAt;
+            return;
+        }
+
+        await session.commitTransaction();
+        session.endSession();
+
+        order.invoiceNumber = invoiceNumber;
+        order.invoicedAt = invoicedAt;
+    } catch (err) {
+        await session.abortTransaction();
+        session.endSession();
+        throw err;
+    }
+};
+
+/**
+ * Send a rendered document as HTML or as a PDF download
+ */
+const sendDocument = async (res, format, filename, renderHtml, renderPdf) => {
+    if (format === 'pdf') {
+        const pdf = await renderPdf();
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${filename}.pdf"`
+        });
+        return res.send(pdf);
+    }
+
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    return res.send(renderHtml());
+};
+
+/**
+ * Get the invoice of an order as HTML or PDF
+ */
+const getInvoice = async (req, res) => {
+    const { id } = req.params;
+    const format = req.query.format || 'html';
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid order ID" });
+    }
+
+    if (!['html', 'pdf'].includes(format)) {
+        return res.status(400).json({ status: "FAILED", message: "Format must be html or pdf" });
+    }
+
+    try {
+        const order = await findOrderForDocument(id);
+        if (!order) {
+            return res.status(404).json({ status: "FAILED", message: "Order not found or has been deleted" });
+        }
+
+        if (order.status === 'Cancelled') {
+            return res.status(400).json({ status: "FAILED", message: "Cancelled orders cannot be invoiced" });
+        }
+
+        await assignInvoiceNumber(order);
+
+        return sendDocument(
+            res,
+            format,
+            order.invoiceNumber,
+            () => documentService.renderInvoiceHtml(order),
+            () => documentService.renderInvoicePdf(order)
+        );
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get the packing slip of an order as HTML or PDF
+ */
+const getPackingSlip = async (req, res) => {
+    const { id } = req.params;
+    const format = req.query.format || 'html';
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid order ID" });
+    }
+
+    if (!['html', 'pdf'].includes(format)) {
+        return res.status(400).json({ status: "FAILED", message: "Format must be html or pdf" });
+    }
+
+    try {
+        const order = await findOrderForDocument(id);
+        if (!order) {
+            return res.status(404).json({ status: "FAILED", message: "Order not found or has been deleted" });
+        }
+
+        return sendDocument(
+            res,
+            format,
+            `packing-slip-${order._id}`,
+            () => documentService.renderPackingSlipHtml(order),
+            () => documentService.renderPackingSlipPdf(order)
+        );
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    getInvoice,
+    getPackingSlip
+};
@@ -0,0 +1,371 @@
+const Location = require('../model/Location');
+const Stock = require('../model/Stock');
+const Transfer = require('../model/Transfer');
+const mongoose = require('mongoose');
+
+/**
+ * Make a location the default and put every batch that has no location there
+ */
+const makeDefault = async (location, session) => {
+    await Location.updateMany({ _id: { $ne: location._id }, isDefault: true }, { isDefault: false }, { session });
+    location.isDefault = true;
+
+    // Batches from before locations existed are all at the default location
+    await Stock.updateMany(
+        { 'locations.0': { $exists: false } },
+        [{ $set: { locations: [{
+            location: location._id,
+            quantity: { $subtract: ['$quantity', { $ifNull: ['$inTransitQuantity', 0] }] }
+        }] } }],
+        { session }
+    );
+};
+
+/**
+ * Add a new location; the first one becomes the default
+ */
+const addLocation = async (req, res) => {
+    const { name, code, address, isDefault } = req.body;
+
+    if (!name || !code) {
+        return res.status(400).json({ status: "FAILED", message: "Name and code are required" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const existingLocation = await Location.findOne({
+            $or: [{ name }, { code: String(code).trim().toUpperCase() }],
+            deletedAt: 0
+        }).session(session);
+
+        if (existingLocation) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: "Location name or code already exists" });
+        }
+
+        const newLocation = new Location({ name, code, address, deletedAt: 0 });
+
+        const hasDefault = await Location.exists({ isDefault: true, deletedAt: 0 }).session(session);
+        if (isDefault === true || !hasDefault) {
+            await makeDefault(newLocation, session);
+        }
+
+        await newLocation.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.status(201).json({ status: "SUCCESS", message: "Location added successfully", data: newLocation });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get all non-deleted locations
+ */
+const getAllLocations = async (req, res) => {
+    try {
+        const locations = await Location.find({ deletedAt: 0 })
+            .sort({ isDefault: -1, name: 1 });
+        return res.json({ status: "SUCCESS", data: locations });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get all locations including deleted ones
+ */
+const getAllLocationsWithDeleted = async (req, res) => {
+    try {
+        const locations = await Location.find()
+            .sort({ isDefault: -1, name: 1 });
+        return res.json({ status: "SUCCESS", data: locations });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get a single location by ID
+ */
+const getLocationById = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid location ID" });
+    }
+
+    try {
+        const location = await Location.findOne({ _id: id, deletedAt: 0 });
+
+        if (!location) {
+            // Check if the location exists but is soft deleted
+            const softDeleted = await Location.findById(id);
+            if (softDeleted && softDeleted.deletedAt !== 0) {
+                return res.status(410).json({ status: "FAILED", message: "Location has been deleted" });
+            }
+
+            return res.status(404).json({ status: "FAILED", message: "Location not found" });
+        }
+
+        return res.json({ status: "SUCCESS", data: location });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get the batches held at a location
+ */
+const getLocationStock = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid location ID" });
+    }
+
+    try {
+        const location = await Location.findOne({ _id: id, deletedAt: 0 });
+        if (!location) {
+            return res.status(404).json({ status: "FAILED", message: "Location not found or has been deleted" });
+        }
+
+        const stocks = await Stock.find({ deletedAt: 0, locations: { $elemMatch: { location: location._id, quantity: { $gt: 0 } } } })
+            .populate('product', 'name productCode')
+            .sort({ batchNumber: 1 });
+
+        return res.json({
+            status: "SUCCESS",
+            data: {
+                location,
+                stock: stocks.map(stock => ({
+                    _id: stock._id,
+                    product: stock.product,
+                    batchNumber: stock.batchNumber,
+                    size: stock.size,
+                    price: stock.price,
+                    quantity: stock.quantityAt(location._id)
+                }))
+            }
+        });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Update an existing location
+ */
+const updateLocation = async (req, res) => {
+    const { id } = req.params;
+    const { name, code, address, isDefault } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid location ID" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const location = await Location.findOne({ _id: id, deletedAt: 0 }).session(session);
+        if (!location) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Location not found or has been deleted" });
+        }
+
+        if (name !== undefined || code !== undefined) {
+            const existingLocation = await Location.findOne({
+                _id: { $ne: id },
+                $or: [{ name: name ?? location.name }, { code: String(code ?? location.code).trim().toUpperCase() }],
+                deletedAt: 0
+            }).session(session);
+
+            if (existingLocation) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: "Location name or code already exists" });
+            }
+        }
+
+        // There must always be a default, so it can only be moved to another location
+        if (isDefault === false && location.isDefault) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: "Make another location the default instead" });
+        }
+
+        if (name !== undefined) location.name = name;
+        if (code !== undefined) location.code = code;
+        if (address !== undefined) location.address = address;
+        if (isDefault === true && !location.isDefault) {
+            await makeDefault(location, session);
+        }
+
+        await location.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.json({ status: "SUCCESS", message: "Location updated successfully", data: location });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Explain why a location can't be removed, or return null
+ */
+const locationInUse = async (location) => {
+    if (location.isDefault) {
+        return "The default location cannot be deleted. Make another location the default first";
+    }
+
+    if (await Stock.exists({ deletedAt: 0, locations: { $elemMatch: { location: location._id, quantity: { $ne: 0 } } } })) {
+        return "Location still holds stock. Transfer it out first";
+    }
+
+    if (await Transfer.exists({ status: 'In Transit', $or: [{ fromLocation: location._id }, { toLocation: location._id }] })) {
+        return "Location has transfers in transit";
+    }
+
+    return null;
+};
+
+/**
+ * Soft delete a location that holds no stock
+ */
+const softDeleteLocation = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid location ID" });
+    }
+
+    try {
+        const location = await Location.findOne({ _id: id, deletedAt: 0 });
+        if (!location) {
+            return res.status(404).json({ status: "FAILED", message: "Location not found or already deleted" });
+        }
+
+        const inUse = await locationInUse(location);
+        if (inUse) {
+            return res.status(400).json({ status: "FAILED", message: inUse });
+        }
+
+        // Soft delete by setting deletedAt to current timestamp
+        location.deletedAt = Date.now();
+        await location.save();
+
+        return res.json({ status: "SUCCESS", message: "Location soft deleted successfully" });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Restore a soft-deleted location
+ */
+const restoreLocation = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid location ID" });
+    }
+
+    try {
+        const location = await Location.findOne({ _id: id, deletedAt: { $ne: 0 } });
+        if (!location) {
+            return res.status(404).json({ status: "FAILED", message: "Location not found or is not deleted" });
+        }
+
+        // Check if name or code now conflicts with an active location
+        const existingLocation = await Location.findOne({
+            _id: { $ne: id },
+            $or: [{ name: location.name }, { code: location.code }],
+            deletedAt: 0
+        });
+
+        if (existingLocation) {
+            return res.status(400).json({
+                status: "FAILED",
+                message: "Cannot restore location. Name or code now conflicts with an active location."
+            });
+        }
+
+        // Restore by setting deletedAt back to 0
+        location.deletedAt = 0;
+        await location.save();
+
+        return res.json({ status: "SUCCESS", message: "Location restored successfully", data: location });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Permanently delete a location nothing refers to
+ */
+const permanentlyDeleteLocation = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid location ID" });
+    }
+
+    try {
+        const location = await Location.findById(id);
+        if (!location) {
+            return res.status(404).json({ status: "FAILED", message: "Location not found" });
+        }
+
+        const inUse = await locationInUse(location);
+        if (inUse) {
+            return res.status(400).json({ status: "FAILED", message: inUse });
+        }
+
+        // Drop the empty entries batches still keep for it
+        await Stock.updateMany({ 'locations.location': location._id }, { $pull: { locations: { location: location._id } } });
+        await Location.deleteOne({ _id: location._id });
+
+        return res.json({ status: "SUCCESS", message: "Location permanently deleted" });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    addLocation,
+    getAllLocations,
+    getAllLocationsWithDeleted,
+    getLocationById,
+    getLocationStock,
+    updateLocation,
+    softDeleteLocation,
+    restoreLocation,
+    permanentlyDeleteLocation
+};
@@ -3,216 +3,1284 @@ const Customer = require('../model/Customer');
 const Product = require('../model/Product');
 const Stock = require('../model/Stock');
 const User = require('../model/User');
+const Promotion = require('../model/Promotion');
+const Reservation = require('../model/Reservation');
+const Location = require('../model/Location');
 const mongoose = require('mongoose');
 const emailService = require('../services/emailService');
+const { notifyOrderEvent } = require('../services/notificationService');
+const { checkPromotion, calculateDiscount } = require('../services/promotionService');
+const { loadTaxRules, taxRateFor, applyTax } = require('../services/taxService');
+const { applyLineMargins } = require('../services/costingService');
+const { quoteShipping } = require('../services/shippingService');
+const { recordStockMovement, moveStock } = require('../services/stockMovementService');
+const { releaseExpiredReservations } = require('../services/reservationService');
+const roundCurrency = require('../utils/roundCurrency');
+
+/**
+ * Build an order line with a price snapshot of the stock batch
+ */
+const buildOrderLine = (stock, quantity) => ({
+    stock: stock._id,
+    quantity,
+    productName: stock.product?.name,
+    size: stock.size,
+    unitPrice: stock.price,
+    lineTotal: roundCurrency(stock.price * quantity),
+    unitCost: stock.costPrice
+});
+
+/**
+ * Message when a stocktake has paused sales of a batch, otherwise null
+ */
+const countBlockMessage = (stock) => stock.countingIn?.blockSales
+    ? `${stock.batchNumber} is being counted in a stocktake and can't be sold until the count closes`
+    : null;
+
+/**
+ * Quantity of a batch that can be sold from a location (or anywhere, without one),
+ * counting a reservation being confirmed as available
+ */
+const sellableQuantity = (stock, locationId, reserved = 0) => {
+    const available = stock.availableQuantity() + reserved;
+    return Math.max(locationId ? Math.min(available, stock.quantityAt(locationId)) : available, 0);
+};
+
+/**
+ * Find the location an order ships from: the one asked for, or the default.
+ * Returns { location } (null when no locations are set up) or { error }.
+ */
+const resolveFulfilmentLocation = async (locationId, session) => {
+    if (!locationId) {
+        const location = await Location.findOne({ isDefault: true, deletedAt: 0 }).session(session);
+        return { location };
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(locationId)) {
+        return { error: "Invalid location ID" };
+    }
+
+    const location = await Location.findOne({ _id: locationId, deletedAt: 0 }).session(session);
+    if (!location) {
+        return { error: "Location not found or has been deleted" };
+    }
+
+    return { location };
+};
+
+/**
+ * Active, unexpired batches of a product in one size that can be sold.
+ * Batches that expire soonest go first; those without an expiry date follow, oldest first.
+ */
+const findFifoBatches = async (productId, size, session) => {
+    const batches = await Stock.find({
+        product: productId,
+        size,
+        deletedAt: 0,
+        'countingIn.blockSales': { $ne: true },
+        $or: [{ expiryDate: null }, { expiryDate: { $gt: new Date() } }]
+    })
+        .sort({ lastRestocked: 1, createdAt: 1 })
+        .populate('product')
+        .session(session);
+
+    // Array sort is stable, so batches with the same expiry keep their restock order
+    return batches.sort((a, b) => (a.expiryDate?.getTime() ?? Infinity) - (b.expiryDate?.getTime() ?? Infinity));
+};
+
+/**
+ * Load the product (with its category and weight) behind each order line
+ */
+const loadLineProducts = async (order, session) => {
+    const stocks = await Stock.find({ _id: { $in: order.items.map(item => item.stock) } })
+        .populate('product', 'category weight')
+        .session(session);
+
+    return order.items.map(item => stocks.find(candidate => candidate._id.equals(item.stock))?.product);
+};
+
+/**
+ * Recalculate the discount, shipping, tax and total of an order from its lines
+ */
+const recalculateOrderTotals = async (order, session) => {
+    const linesTotal = roundCurrency(order.items.reduce((sum, item) => sum + (item.lineTotal || 0), 0));
+    const products = await loadLineProducts(order, session);
+
+    if (order.promotion) {
+        const promotion = await Promotion.findById(order.promotion).session(session);
+        order.discountAmount = promotion
+            ? calculateDiscount(promotion, order.items.map((item, index) => ({
+                lineTotal: item.lineTotal || 0,
+                category: products[index]?.category
+            })))
+            : Math.min(order.discountAmount, linesTotal);
+    }
+
+    // New lines take the tax rules in force now; existing lines keep their rate
+    if (order.items.some(item => item.taxRate === undefined || item.taxRate === null)) {
+        const rules = await loadTaxRules(session);
+        order.items.forEach((item, index) => {
+            if (item.taxRate === undefined || item.taxRate === null) {
+                item.taxRate = taxRateFor(rules, products[index]);
+            }
+        });
+    }
+
+    const totals = applyTax(order.items, order.discountAmount || 0);
+    applyLineMargins(order.items);
+
+    // Shipping follows the lines unless staff set it; orders placed before shipping rates keep theirs
+    if (!order.shippingOverride?.reason && (order.isNew || order.shippingRate)) {
+        const customer = await Customer.findById(order.customer).session(session);
+        const weight = order.items.reduce((sum, item, index) => sum + (products[index]?.weight || 0) * item.quantity, 0);
+        const quote = await quoteShipping(customer?.state, { weight, value: totals.total }, session);
+        order.shippingCharge = quote.charge;
+        order.shippingRate = quote.rate?._id;
+    }
+
+    // Shipping carries GST at the default rate
+    const shippingCharge = order.shippingCharge || 0;
+    let shippingTax = 0;
+    if (shippingCharge > 0) {
+        const rate = taxRateFor(await loadTaxRules(session), null);
+        shippingTax = roundCurrency(shippingCharge * rate / (100 + rate));
+    }
+
+    order.totalAmount = roundCurrency(totals.total + shippingCharge);
+    order.taxAmount = roundCurrency(totals.taxAmount + shippingTax);
+    order.subtotal = roundCurrency(order.totalAmount - order.taxAmount);
+};
+
+/**
+ * Check a staff shipping override ({ charge, reason }). Returns an error message or null.
+ */
+const validateShippingOverride = (charge, reason) => {
+    if (charge === undefined || charge === null || charge === '' || isNaN(charge) || Number(charge) < 0) {
+        return "Shipping charge must be a non-negative number";
+    }
+
+    if (!reason || !String(reason).trim()) {
+        return "A reason is required to override the shipping charge";
+    }
+
+    return null;
+};
+
+/**
+ * Replace the calculated shipping of an order with a staff charge and recalculate its totals
+ */
+const overrideShipping = async (order, charge, reason, userId, session) => {
+    // Keep the first calculated charge when an override is changed again
+    const calculatedCharge = order.shippingOverride?.reason ? order.shippingOverride.calculatedCharge : order.shippingCharge;
+
+    order.shippingOverride = {
+        reason: String(reason).trim(),
+        calculatedCharge,
+        overriddenBy: userId,
+        overriddenAt: Date.now()
+    };
+    order.shippingCharge = roundCurrency(Number(charge));
+
+    await recalculateOrderTotals(order, session);
+};
+
+/**
+ * Validate a promo code for a customer and count its redemption inside the order transaction.
+ * Returns { promotion, discountAmount } or { error }.
+ */
+const redeemPromotion = async (promoCode, customerId, lines, session) => {
+    const promotion = await Promotion.findOne({ code: String(promoCode).trim().toUpperCase(), deletedAt: 0 }).session(session);
+
+    const promotionError = checkPromotion(promotion);
+    if (promotionError) {
+        return { error: promotionError };
+    }
+
+    if (promotion.perCustomerLimit) {
+        const customerUses = await Order.countDocuments({
+            promotion: promotion._id,
+            customer: customerId,
+            status: { $ne: 'Cancelled' },
+            deletedAt: 0
+        }).session(session);
+
+        if (customerUses >= promotion.perCustomerLimit) {
+            return { error: "Promo code has already been used the maximum number of times by this customer" };
+        }
+    }
+
+    const discountAmount = calculateDiscount(promotion, lines);
+    if (discountAmount <= 0) {
+        return { error: "Promo code does not apply to any items in this order" };
+    }
+
+    // The usage limit is checked again in the update so concurrent orders can't overshoot it
+    const redeemed = await Promotion.findOneAndUpdate(
+        {
+            _id: promotion._id,
+            $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }]
+        },
+        { $inc: { usageCount: 1 } },
+        { new: true, session }
+    );
+
+    if (!redeemed) {
+        return { error: "Promo code usage limit has been reached" };
+    }
+
+    return { promotion: redeemed, discountAmount };
+};
+
+/**
+ * Fill in price snapshots for lines created before they were recorded
+ */
+const ensureLineSnapshots = async (order, session) => {
+    for (const item of order.items) {
+        if (item.unitPrice !== undefined && item.unitPrice !== null) continue;
+
+        const stock = await Stock.findById(item.stock).populate('product').session(session);
+        if (stock) {
+            Object.assign(item, buildOrderLine(stock, item.quantity));
+        }
+    }
+};
+
+/**
+ * Email all users when a stock batch falls below its alert threshold
+ */
+const notifyIfLowStock = async (stock) => {
+    if (stock.quantity >= stock.lowStockAlert) return;
+
+    const users = await User.find();
+    const userEmails = users.map(user => user.email);
+
+    const productData = await Product.findById(stock.product);
+    if (productData) {
+        emailService.sendLowStockAlert(productData.name, stock.batchNumber, stock.quantity, userEmails);
+    }
+};
+
+/**
+ * Whether an order still holds its stock (not cancelled and not deleted)
+ */
+const holdsStock = (order) => order.deletedAt === 0 && order.status !== 'Cancelled';
+
+/**
+ * Quantity of a line actually taken from its stock batch (backordered units never were)
+ */
+const allocatedQuantity = (item) => item.quantity - (item.backorderedQuantity || 0);
+
+/**
+ * Quantity of a line still in the store: taken from its batch but not shipped.
+ * Orders marked Shipped or Delivered without shipment records have sent everything.
+ */
+const unshippedQuantity = (order, item) => ['Shipped', 'Delivered'].includes(order.status)
+    ? 0
+    : Math.max(allocatedQuantity(item) - (item.shippedQuantity || 0), 0);
+
+/**
+ * Put the unshipped quantities of an order back on their stock batches
+ * and give its promo code redemption back
+ */
+const returnOrderStock = async (order, session, userId) => {
+    for (const item of order.items) {
+        await moveStock(item.stock, unshippedQuantity(order, item), { reason: 'cancellation', sourceType: 'Order', sourceId: order._id, user: userId, location: order.location }, session);
+    }
+
+    if (order.promotion) {
+        await Promotion.updateOne(
+            { _id: order.promotion, usageCount: { $gt: 0 } },
+            { $inc: { usageCount: -1 } },
+            { session }
+        );
+    }
+};
+
+/**
+ * Take the unshipped quantities of an order from their stock batches again
+ * and count its promo code redemption again.
+ * Returns an error message when a batch can no longer cover its line or the code has no uses left.
+ */
+const deductOrderStock = async (order, session, userId) => {
+    if (order.promotion) {
+        const redeemed = await Promotion.findOneAndUpdate(
+            {
+                _id: order.promotion,
+                $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }]
+            },
+            { $inc: { usageCount: 1 } },
+            { session }
+        );
+
+        // A promotion deleted since the order was placed has no limit left to enforce
+        if (!redeemed && await Promotion.exists({ _id: order.promotion }).session(session)) {
+            return `Promo code ${order.promoCode || order.promotion} usage limit has been reached`;
+        }
+    }
+
+    for (const item of order.items) {
+        const required = unshippedQuantity(order, item);
+        if (required <= 0) continue;
+
+        const stock = await Stock.findOne({ _id: item.stock, deletedAt: 0 }).session(session);
+        if (!stock) {
+            return `Stock batch ${item.stock} is no longer available`;
+        }
+
+        const blocked = countBlockMessage(stock);
+        if (blocked) {
+            return blocked;
+        }
+
+        const available = sellableQuantity(stock, order.location);
+        if (available < required) {
+            return `Insufficient stock for ${item.productName || stock.batchNumber} (${stock.batchNumber}). Required: ${required}, available: ${available}`;
+        }
+
+        stock.adjustQuantity(-required, order.location);
+        await stock.save({ session });
+        await recordStockMovement(stock, -required, { reason: 'sale', sourceType: 'Order', sourceId: order._id, user: userId, location: order.location }, session);
+    }
+
+    return null;
+};
 
 /**
  * Add a new order
  */
-const addOrder = async (req, res) => {
+const addOrder = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        // Expired reservations stop holding stock before availability is checked
+        await releaseExpiredReservations();
+
+        const { customerId, items, totalAmount, promoCode, shippingCharge, shippingReason, location: locationId } = req.body;
+
+        if (!customerId || !items || !Array.isArray(items) || items.length === 0) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: "Customer and at least one item are required" });
+        }
+
+        const customer = await Customer.findById(customerId).session(session);
+        if (!customer) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Customer not found" });
+        }
+
+        // Stock is taken from the fulfilment location only
+        const fulfilment = await resolveFulfilmentLocation(locationId, session);
+        if (fulfilment.error) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: fulfilment.error });
+        }
+        const location = fulfilment.location?._id;
+
+        const hasShippingOverride = shippingCharge !== undefined && shippingCharge !== null && shippingCharge !== '';
+        if (hasShippingOverride) {
+            const overrideError = validateShippingOverride(shippingCharge, shippingReason);
+            if (overrideError) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: overrideError });
+            }
+        }
+
+        // The id is needed up front so stock movements can point at the order
+        const orderId = new mongoose.Types.ObjectId();
+        const saleMovement = { reason: 'sale', sourceType: 'Order', sourceId: orderId, user: req.userId, location };
+
+        const orderItems = [];
+        const discountLines = [];
+        const convertedReservations = [];
+        const allocations = [];
+
+        // Validate stock, reduce quantity and snapshot the price of each line
+        for (let item of items) {
+            const quantity = Number(item.quantity);
+            if (!Number.isInteger(quantity) || quantity <= 0) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: `Invalid quantity for stock: ${item.stock || item.product}` });
+            }
+
+            // A line given as product + size is spread over its unexpired batches, soonest expiry first
+            if (!item.stock && !item.reservation) {
+                if (!item.product || !item.size) {
+                    await session.abortTransaction();
+                    session.endSession();
+                    return res.status(400).json({ status: "FAILED", message: "Each item needs a stock batch, a reservation, or a product and size" });
+                }
+
+                if (!mongoose.Types.ObjectId.isValid(item.product)) {
+                    await session.abortTransaction();
+                    session.endSession();
+                    return res.status(400).json({ status: "FAILED", message: `Invalid product ID: ${item.product}` });
+                }
+
+                const batches = await findFifoBatches(item.product, item.size, session);
+                if (batches.length === 0) {
+                    await session.abortTransaction();
+                    session.endSession();
+                    return res.status(404).json({ status: "FAILED", message: `No stock found for product ${item.product} in size ${item.size}` });
+                }
+
+                const allocation = { product: item.product, size: item.size, quantity, batches: [], backorderedQuantity: 0 };
+                const allocatedLines = [];
+                let remaining = quantity;
+
+                for (const stock of batches) {
+                    if (remaining === 0) break;
+
+                    const taken = Math.min(sellableQuantity(stock, location), remaining);
+                    if (taken === 0) continue;
+
+                    stock.adjustQuantity(-taken, location);
+                    await stock.save({ session });
+                    await recordStockMovement(stock, -taken, saleMovement, session);
+                    remaining -= taken;
+
+                    allocatedLines.push({ stock, line: buildOrderLine(stock, taken) });
+                    allocation.batches.push({ stock: stock._id, batchNumber: stock.batchNumber, quantity: taken });
+
+                    await notifyIfLowStock(stock);
+                }
+
+                // Whatever the batches can't cover is backordered on the newest one
+                if (remaining > 0) {
+                    const newest = batches[batches.length - 1];
+                    let entry = allocatedLines.find(({ stock }) => stock._id.equals(newest._id));
+                    if (entry) {
+                        entry.line.quantity += remaining;
+                        entry.line.lineTotal = roundCurrency(entry.line.unitPrice * entry.line.quantity);
+                    } else {
+                        entry = { stock: newest, line: buildOrderLine(newest, remaining) };
+                        allocatedLines.push(entry);
+                    }
+                    entry.line.backorderedQuantity = remaining;
+                    allocation.backorderedQuantity = remaining;
+                }
+
+                for (const { stock, line } of allocatedLines) {
+                    orderItems.push(line);
+                    discountLines.push({ lineTotal: line.lineTotal, category: stock.product?.category });
+                }
+                allocations.push(allocation);
+                continue;
+            }
+
+            if ([item.stock, item.reservation].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: `Invalid stock or reservation ID: ${item.stock || item.reservation}` });
+            }
+
+            // A line can confirm a reservation held for this customer
+            let reservation = null;
+            if (item.reservation) {
+                reservation = await Reservation.findOne({ _id: item.reservation, status: 'Active' }).session(session);
+                if (!reservation || reservation.expiresAt < new Date() || !reservation.customer.equals(customerId)) {
+                    await session.abortTransaction();
+                    session.endSession();
+                    return res.status(400).json({ status: "FAILED", message: `Reservation is not active for this customer: ${item.reservation}` });
+                }
+
+                if (item.stock && !reservation.stock.equals(item.stock)) {
+                    await session.abortTransaction();
+                    session.endSession();
+                    return res.status(400).json({ status: "FAILED", message: `Reservation ${item.reservation} is for a different stock batch` });
+                }
+            }
+
+            const stockId = item.stock || reservation?.stock;
+            const stock = await Stock.findById(stockId).populate('product').session(session);
+            if (!stock) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(404).json({ status: "FAILED", message: `Stock not found: ${stockId}` });
+            }
+
+            const blocked = countBlockMessage(stock);
+            if (blocked) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(409).json({ status: "FAILED", message: blocked });
+            }
+
+            // Reserved quantities can't be sold, except the one being confirmed.
+            // Whatever the batch can't cover is backordered.
+            const available = sellableQuantity(stock, location, reservation ? reservation.quantity : 0);
+            const fulfilled = Math.min(available, quantity);
+            
+            // Deduct the quantity from stock
+            stock.adjustQuantity(-fulfilled, location);
+
+            // The whole reservation is closed; any part not ordered goes back on sale
+            if (reservation) {
+                stock.reservedQuantity -= reservation.quantity;
+                reservation.status = 'Converted';
+                reservation.closedAt = Date.now();
+                convertedReservations.push(reservation);
+            }
+
+            await stock.save({ session });
+            await recordStockMovement(stock, -fulfilled, saleMovement, session);
+
+            const line = buildOrderLine(stock, quantity);
+            line.backorderedQuantity = quantity - fulfilled;
+            orderItems.push(line);
+            discountLines.push({ lineTotal: line.lineTotal, category: stock.product?.category });
+            
+            // Check if stock fell below threshold AFTER deduction
+            await notifyIfLowStock(stock);
+        }
+
+        // Apply the promo code, if any
+        let promotion = null;
+        let discountAmount = 0;
+
+        if (promoCode) {
+            const redemption = await redeemPromotion(promoCode, customerId, discountLines, session);
+            if (redemption.error) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: redemption.error });
+            }
+
+            promotion = redemption.promotion;
+            discountAmount = redemption.discountAmount;
+        }
+
+        // Create new order
+        const newOrder = new Order({
+            _id: orderId,
+            customer: customerId,
+            location,
+            items: orderItems,
+            allocations,
+            promotion: promotion?._id,
+            promoCode: promotion?.code,
+            discountAmount,
+            statusHistory: [{ from: null, to: 'Pending', changedBy: req.userId }],
+            deletedAt: 0
+        });
+
+        // The total is always worked out from stock prices, tax rules and shipping rates; a client total is only checked against it
+        await recalculateOrderTotals(newOrder, session);
+        if (hasShippingOverride) {
+            await overrideShipping(newOrder, shippingCharge, shippingReason, req.userId, session);
+        }
+        const finalTotalAmount = newOrder.totalAmount;
+
+        if (totalAmount !== undefined && totalAmount !== null && totalAmount !== '') {
+            if (isNaN(totalAmount) || Math.abs(Number(totalAmount) - finalTotalAmount) >= 0.01) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({
+                    status: "FAILED",
+                    message: `Order total mismatch. Expected ${finalTotalAmount}, received ${totalAmount}`,
+                    data: { expectedTotal: finalTotalAmount }
+                });
+            }
+        }
+
+        await newOrder.save({ session });
+
+        for (const reservation of convertedReservations) {
+            reservation.order = newOrder._id;
+            await reservation.save({ session });
+        }
+
+        await session.commitTransaction();
+        session.endSession();
+
+        notifyOrderEvent(newOrder._id, 'confirmation');
+
+        const backordered = newOrder.items.some(item => item.backorderedQuantity > 0);
+        return res.status(201).json({
+            status: "SUCCESS",
+            message: backordered ? "Order placed with backordered items" : "Order placed successfully",
+            data: newOrder
+        });
+
+    } catch (error) {
+        console.error("Transaction failed:", error);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Order creation failed due to server error.", error: error.message });
+    }
+};
+
+// Fields the order list can be sorted by
+const ORDER_SORT_FIELDS = ['createdAt', 'totalAmount', 'status', 'balanceDue'];
+
+/**
+ * Escape user input for use inside a regular expression
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the order list query from request filters.
+ * Returns { filter } or { error }.
+ */
+const buildOrderListFilter = async (query, baseFilter) => {
+    const { status, customer, startDate, endDate, minAmount, maxAmount, product, category, search } = query;
+    const filter = { ...baseFilter };
+
+    if (status) {
+        const statuses = String(status).split(',');
+        if (statuses.some(value => !Order.STATUSES.includes(value))) {
+            return { error: `Invalid status. Allowed values: ${Order.STATUSES.join(', ')}` };
+        }
+        filter.status = { $in: statuses };
+    }
+
+    if (customer) {
+        if (!mongoose.Types.ObjectId.isValid(customer)) {
+            return { error: "Invalid customer ID" };
+        }
+        filter.customer = customer;
+    }
+
+    if (startDate || endDate) {
+        filter.createdAt = {};
+        if (startDate) filter.createdAt.$gte = new Date(startDate);
+        if (endDate) filter.createdAt.$lte = new Date(endDate);
+        if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+            return { error: "Invalid date range" };
+        }
+    }
+
+    if (minAmount !== undefined || maxAmount !== undefined) {
+        filter.totalAmount = {};
+        if (minAmount !== undefined) filter.totalAmount.$gte = Number(minAmount);
+        if (maxAmount !== undefined) filter.totalAmount.$lte = Number(maxAmount);
+        if (Object.values(filter.totalAmount).some(amount => isNaN(amount))) {
+            return { error: "Invalid amount range" };
+        }
+    }
+
+    // Orders that contain a product, or any product of a category
+    if (product || category) {
+        if ((product && !mongoose.Types.ObjectId.isValid(product)) || (category && !mongoose.Types.ObjectId.isValid(category))) {
+            return { error: "Invalid product or category ID" };
+        }
+
+        const productFilter = {};
+        if (product) productFilter._id = product;
+        if (category) productFilter.category = category;
+
+        const productIds = await Product.find(productFilter).distinct('_id');
+        const stockIds = await Stock.find({ product: { $in: productIds } }).distinct('_id');
+        filter['items.stock'] = { $in: stockIds };
+    }
+
+    // Every word has to match the customer's first name, last name or email
+    if (search && String(search).trim()) {
+        const terms = String(search).trim().split(/\s+/);
+        const customerIds = await Customer.find({
+            $and: terms.map(term => {
+                const pattern = new RegExp(escapeRegex(term), 'i');
+                return { $or: [{ firstName: pattern }, { lastName: pattern }, { email: pattern }] };
+            })
+        }).distinct('_id');
+
+        filter.customer = filter.customer
+            ? { $in: customerIds.filter(id => id.equals(filter.customer)) }
+            : { $in: customerIds };
+    }
+
+    return { filter };
+};
+
+/**
+ * Find a page of orders for the list endpoints
+ */
+const listOrders = async (req, res, baseFilter) => {
+    try {
+        const { filter, error } = await buildOrderListFilter(req.query, baseFilter);
+        if (error) {
+            return res.status(400).json({ status: "FAILED", message: error });
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        // sort=field for ascending, sort=-field for descending
+        const sortParam = req.query.sort || '-createdAt';
+        const sortField = sortParam.replace(/^-/, '');
+        if (!ORDER_SORT_FIELDS.includes(sortField)) {
+            return res.status(400).json({ status: "FAILED", message: `Invalid sort field. Allowed values: ${ORDER_SORT_FIELDS.join(', ')}` });
+        }
+        const sort = { [sortField]: sortParam.startsWith('-') ? -1 : 1, _id: -1 };
+
+        const [orders, total] = await Promise.all([
+            Order.find(filter)
+                .populate('customer')
+                .populate({
+                    path: 'items.stock',
+                    populate: {
+                        path: 'product',
+                        model: 'Product'
+                    }
+                })
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Order.countDocuments(filter)
+        ]);
+
+        return res.json({
+            status: "SUCCESS",
+            data: orders,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get all active orders
+ */
+const getAllOrders = (req, res) => listOrders(req, res, { deletedAt: 0 });
+
+/**
+ * Get all orders including deleted ones
+ */
+const getAllOrdersWithDeleted = (req, res) => listOrders(req, res, {});
+
+/**
+ * Get an order by ID
+ */
+const getOrderById = async (req, res) => {
+    const { id } = req.params;
+
+    // Check if the provided ID is a valid ObjectId
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid order ID" });
+    }
+
+    try {
+        const order = await Order.findOne({ _id: id, deletedAt: 0 })
+            .populate('customer')
+            .populate({
+                path: 'items.stock',
+                populate: {
+                    path: 'product',
+                    model: 'Product'
+                }
+            });
+        
+        if (!order) {
+            // Check if the order exists but is soft deleted
+            const softDeleted = await Order.findById(id);
+            if (softDeleted && softDeleted.deletedAt !== 0) {
+                return res.status(410).json({ status: "FAILED", message: "Order has been deleted" });
+            }
+            
+            return res.status(404).json({ status: "FAILED", message: "Order not found" });
+        }
+        
+        return res.json({ status: "SUCCESS", data: order });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Update order status
+ */
+const updateOrderStatus = async (req, res) => {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    // Validate input
+    if (!status || typeof status !== "string") {
+        return res.status(400).json({ status: "FAILED", message: "Status is required and must be a string" });
+    }
+
+    if (!Order.STATUSES.includes(status)) {
+        return res.status(400).json({ status: "FAILED", message: `Invalid status. Allowed values: ${Order.STATUSES.join(', ')}` });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        // Find the order and check if it's not deleted
+        const order = await Order.findOne({ _id: id, deletedAt: 0 }).session(session);
+
+        if (!order) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Order not found or has been deleted" });
+        }
+
+        // Once items have shipped, shipping statuses follow the shipments
+        const hasShipments = order.items.some(item => item.shippedQuantity > 0);
+        if (status === 'Partially Shipped' || (hasShipments && ['Shipped', 'Delivered'].includes(status))) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: `${status} is set from the order's shipments` });
+        }
+
+        if (['Shipped', 'Delivered'].includes(status) && order.items.some(item => item.backorderedQuantity > 0)) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: `Order has backordered items and cannot be marked ${status}` });
+        }
+
+        // Only allow moves permitted by the order lifecycle
+        if (!order.canTransitionTo(status)) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({
+                status: "FAILED",
+                message: `Cannot change order status from ${order.status} to ${status}`,
+                data: { allowed: Order.STATUS_TRANSITIONS[order.status] || [] }
+            });
+        }
+
+        // Cancelling puts the stock that hasn't shipped back on hand
+        if (status === 'Cancelled') {
+            await returnOrderStock(order, session, req.userId);
+        }
+
+        order.setStatus(status, req.userId, note);
+        await order.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        notifyOrderEvent(order._id, 'status');
+
+        return res.json({ 
+            status: "SUCCESS", 
+            message: "Order status updated successfully", 
+            data: order 
+        });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get the status timeline of an order
+ */
+const getOrderStatusHistory = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid order ID" });
+    }
+
+    try {
+        const order = await Order.findOne({ _id: id, deletedAt: 0 })
+            .select('status statusHistory createdAt')
+            .populate('statusHistory.changedBy', 'name email');
+
+        if (!order) {
+            return res.status(404).json({ status: "FAILED", message: "Order not found or has been deleted" });
+        }
+
+        return res.json({
+            status: "SUCCESS",
+            data: {
+                orderId: order._id,
+                currentStatus: order.status,
+                history: order.statusHistory
+            }
+        });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Override the shipping charge of an order with a reason, or clear the override (charge null)
+ */
+const updateOrderShipping = async (req, res) => {
+    const { id } = req.params;
+    const { shippingCharge, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid order ID" });
+    }
+
+    const clearing = shippingCharge === null;
+    if (!clearing) {
+        const overrideError = validateShippingOverride(shippingCharge, reason);
+        if (overrideError) {
+            return res.status(400).json({ status: "FAILED", message: overrideError });
+        }
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const order = await Order.findOne({ _id: id, deletedAt: 0 }).session(session);
+        if (!order) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Order not found or has been deleted" });
+        }
+
+        if (['Delivered', 'Cancelled'].includes(order.status)) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: `Shipping cannot be changed on a ${order.status} order` });
+        }
+
+        await ensureLineSnapshots(order, session);
+
+        if (clearing) {
+            if (!order.shippingOverride?.reason) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: "Order has no shipping override" });
+            }
+
+            // Go back to the calculated charge
+            order.shippingCharge = order.shippingOverride.calculatedCharge || 0;
+            order.shippingOverride = undefined;
+            await recalculateOrderTotals(order, session);
+        } else {
+            await overrideShipping(order, shippingCharge, reason, req.userId, session);
+        }
+
+        await order.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.json({
+            status: "SUCCESS",
+            message: clearing ? "Shipping override removed" : "Shipping charge overridden",
+            data: order
+        });
+
+    } catch (err) {
+        await session.abortTransaction();
+        session.endSession();
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Add a line to a pending order
+ */
+const addOrderItem = async (req, res) => {
+    const { id } = req.params;
+    const { stock: stockId } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    if (!stockId || !mongoose.Types.ObjectId.isValid(stockId)) {
+        return res.status(400).json({ status: "FAILED", message: "A valid stock ID is required" });
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        return res.status(400).json({ status: "FAILED", message: "Quantity must be a positive whole number" });
+    }
+
     const session = await mongoose.startSession();
     session.startTransaction();
 
     try {
-        const { customerId, items, totalAmount } = req.body;
+        await releaseExpiredReservations({ stock: stockId });
 
-        if (!customerId || !items || !Array.isArray(items) || items.length === 0 || totalAmount === undefined) {
+        const order = await Order.findOne({ _id: id, deletedAt: 0 }).session(session);
+        if (!order) {
             await session.abortTransaction();
             session.endSession();
-            return res.status(400).json({ status: "FAILED", message: "All fields are required" });
+            return res.status(404).json({ status: "FAILED", message: "Order not found or has been deleted" });
         }
 
-        const customer = await Customer.findById(customerId).session(session);
-        if (!customer) {
+        if (order.status !== 'Pending') {
             await session.abortTransaction();
             session.endSession();
-            return res.status(404).json({ status: "FAILED", message: "Customer not found" });
+            return res.status(400).json({ status: "FAILED", message: `Items can only be changed on pending orders. Current status: ${order.status}` });
         }
 
-        // Validate stock and reduce quantity
-        for (let item of items) {
-            const stock = await Stock.findById(item.stock).populate('product').session(session);
-            if (!stock) {
-                await session.abortTransaction();
-                session.endSession();
-                return res.status(404).json({ status: "FAILED", message: `Stock not found: ${item.stock}` });
-            }
+        if (order.items.some(item => item.stock.equals(stockId))) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(409).json({ status: "FAILED", message: "This stock batch is already on the order. Update its quantity instead" });
+        }
 
-            if (stock.quantity < item.quantity) {
-                await session.abortTransaction();
-                session.endSession();
-                return res.status(400).json({
-                    status: "FAILED",
-                    message: `Insufficient stock for ${stock.product.name}. Available: ${stock.quantity}`
-                });
-            }
-            
-            // Deduct the quantity from stock
-            stock.quantity -= item.quantity;
-            await stock.save({ session });
-            
-            // Check if stock fell below threshold AFTER deduction
-            if (stock.quantity < stock.lowStockAlert) {
-                const users = await User.find();
-                const userEmails = users.map(user => user.email);
-            
-                const productData = await Product.findById(stock.product);
-                if (productData) {
-                    emailService.sendLowStockAlert(productData.name, stock.batchNumber, stock.quantity, userEmails);
-                }
-            }
+        const stock = await Stock.findOne({ _id: stockId, deletedAt: 0 }).populate('product').session(session);
+        if (!stock) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: `Stock not found: ${stockId}` });
         }
 
-        let finalTotalAmount = totalAmount;
+        const blocked = countBlockMessage(stock);
+        if (blocked) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(409).json({ status: "FAILED", message: blocked });
+        }
 
-        // Fallback if frontend doesn't pass totalAmount properly
-        if (!finalTotalAmount || isNaN(finalTotalAmount)) {
-            finalTotalAmount = 0;
-            for (let item of items) {
-                const stock = await Stock.findById(item.stock).populate('product').session(session);
-                if (stock && stock.product && stock.product.price) {
-                    finalTotalAmount += stock.product.price * item.quantity;
-                }
-            }
+        const available = sellableQuantity(stock, order.location);
+        if (available < quantity) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({
+                status: "FAILED",
+                message: `Insufficient stock for ${stock.product.name}. Available: ${available}`
+            });
         }
 
-        // Create new order
-        const newOrder = new Order({
-            customer: customerId,
-            items,
-            totalAmount: finalTotalAmount,
-            deletedAt: 0
-        });
+        stock.adjustQuantity(-quantity, order.location);
+        await stock.save({ session });
+        await recordStockMovement(stock, -quantity, { reason: 'sale', sourceType: 'Order', sourceId: order._id, user: req.userId, location: order.location }, session);
 
-        await newOrder.save({ session });
+        await ensureLineSnapshots(order, session);
+        order.items.push(buildOrderLine(stock, quantity));
+        await recalculateOrderTotals(order, session);
+        await order.save({ session });
 
         await session.commitTransaction();
         session.endSession();
 
-        return res.status(201).json({ status: "SUCCESS", message: "Order placed successfully", data: newOrder });
+        await notifyIfLowStock(stock);
 
-    } catch (error) {
-        console.error("Transaction failed:", error);
+        return res.json({ status: "SUCCESS", message: "Order item added successfully", data: order });
+
+    } catch (err) {
+        console.error(err);
         await session.abortTransaction();
         session.endSession();
-        return res.status(500).json({ status: "FAILED", message: "Order creation failed due to server error.", error: error.message });
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
     }
 };
 
 /**
- * Get all active orders
+ * Change the quantity of a line on a pending order
  */
-const getAllOrders = async (req, res) => {
-    try {
-        const orders = await Order.find({ deletedAt: 0 })
-            .populate('customer')
-            .populate({
-                path: 'items.stock',
-                populate: {
-                    path: 'product',
-                    model: 'Product'
-                }
-            })
-            .sort({ createdAt: -1 });
+const updateOrderItem = async (req, res) => {
+    const { id, itemId } = req.params;
+    const quantity = Number(req.body.quantity);
 
-        return res.json({ status: "SUCCESS", data: orders });
-    } catch (err) {
-        console.error(err);
-        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        return res.status(400).json({ status: "FAILED", message: "Quantity must be a positive whole number" });
     }
-};
 
-/**
- * Get all orders including deleted ones
- */
-const getAllOrdersWithDeleted = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
     try {
-        const orders = await Order.find()
-            .populate('customer')
-            .populate({
-                path: 'items.stock',
-                populate: {
-                    path: 'product',
-                    model: 'Product'
-                }
-            })
-            .sort({ createdAt: -1 });
-        return res.json({ status: "SUCCESS", data: orders });
+        await releaseExpiredReservations();
+
+        const order = await Order.findOne({ _id: id, deletedAt: 0 }).session(session);
+        if (!order) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Order not found or has been deleted" });
+        }
+
+        if (order.status !== 'Pending') {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: `Items can only be changed on pending orders. Current status: ${order.status}` });
+        }
+
+        const item = order.items.id(itemId);
+        if (!item) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Order item not found" });
+        }
+
+        await ensureLineSnapshots(order, session);
+
+        const difference = quantity - item.quantity;
+        const movement = { sourceType: 'Order', sourceId: order._id, user: req.userId, location: order.location };
+        let stock = null;
+
+        if (difference < 0 && item.backorderedQuantity > 0) {
+            // Cut the backordered part first; only the rest goes back to the batch
+            const fromBackorder = Math.min(item.backorderedQuantity, -difference);
+            item.backorderedQuantity -= fromBackorder;
+            if (-difference > fromBackorder) {
+                await moveStock(item.stock, -difference - fromBackorder, { ...movement, reason: 'cancellation' }, session);
+            }
+        } else if (difference > 0) {
+            // Take the extra quantity from the same batch
+            stock = await Stock.findOne({ _id: item.stock, deletedAt: 0 }).session(session);
+            const blocked = stock && countBlockMessage(stock);
+            if (blocked) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(409).json({ status: "FAILED", message: blocked });
+            }
+
+            const available = stock ? sellableQuantity(stock, order.location) : 0;
+            if (available < difference) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({
+                    status: "FAILED",
+                    message: `Insufficient stock for ${item.productName}. Available: ${available}`
+                });
+            }
+
+            stock.adjustQuantity(-difference, order.location);
+            await stock.save({ session });
+            await recordStockMovement(stock, -difference, { ...movement, reason: 'sale' }, session);
+        } else if (difference < 0) {
+            await moveStock(item.stock, -difference, { ...movement, reason: 'cancellation' }, session);
+        }
+
+        item.quantity = quantity;
+        item.lineTotal = roundCurrency(item.unitPrice * quantity);
+        await recalculateOrderTotals(order, session);
+        await order.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        if (stock) {
+            await notifyIfLowStock(stock);
+        }
+
+        return res.json({ status: "SUCCESS", message: "Order item updated successfully", data: order });
+
     } catch (err) {
         console.error(err);
+        await session.abortTransaction();
+        session.endSession();
         return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
     }
 };
 
 /**
- * Get an order by ID
+ * Remove a line from a pending order
  */
-const getOrderById = async (req, res) => {
-    const { id } = req.params;
+const removeOrderItem = async (req, res) => {
+    const { id, itemId } = req.params;
 
-    // Check if the provided ID is a valid ObjectId
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-        return res.status(400).json({ status: "FAILED", message: "Invalid order ID" });
-    }
+    const session = await mongoose.startSession();
+    session.startTransaction();
 
     try {
-        const order = await Order.findOne({ _id: id, deletedAt: 0 })
-            .populate('customer')
-            .populate({
-                path: 'items.stock',
-                populate: {
-                    path: 'product',
-                    model: 'Product'
-                }
-            });
-        
+        const order = await Order.findOne({ _id: id, deletedAt: 0 }).session(session);
         if (!order) {
-            // Check if the order exists but is soft deleted
-            const softDeleted = await Order.findById(id);
-            if (softDeleted && softDeleted.deletedAt !== 0) {
-                return res.status(410).json({ status: "FAILED", message: "Order has been deleted" });
-            }
-            
-            return res.status(404).json({ status: "FAILED", message: "Order not found" });
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Order not found or has been deleted" });
         }
-        
-        return res.json({ status: "SUCCESS", data: order });
+
+        if (order.status !== 'Pending') {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: `Items can only be changed on pending orders. Current status: ${order.status}` });
+        }
+
+        const item = order.items.id(itemId);
+        if (!item) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Order item not found" });
+        }
+
+        if (order.items.length === 1) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: "An order needs at least one item. Cancel the order instead" });
+        }
+
+        await moveStock(item.stock, allocatedQuantity(item), { reason: 'cancellation', sourceType: 'Order', sourceId: order._id, user: req.userId, location: order.location }, session);
+
+        await ensureLineSnapshots(order, session);
+        order.items.pull(item._id);
+        await recalculateOrderTotals(order, session);
+        await order.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.json({ status: "SUCCESS", message: "Order item removed successfully", data: order });
+
     } catch (err) {
         console.error(err);
+        await session.abortTransaction();
+        session.endSession();
         return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
     }
 };
 
 /**
- * Update order status
+ * List outstanding backorders grouped by product and size
  */
-const updateOrderStatus = async (req, res) => {
-    const { id } = req.params;
-    const { status } = req.body;
+const getBackorders = async (req, res) => {
+    const { product } = req.query;
 
-    // Validate input
-    if (!status || typeof status !== "string") {
-        return res.status(400).json({ status: "FAILED", message: "Status is required and must be a string" });
+    if (product && !mongoose.Types.ObjectId.isValid(product)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid product ID" });
     }
 
     try {
-        // Find the order and check if it's not deleted
-        const order = await Order.findOne({ _id: id, deletedAt: 0 });
-
-        if (!order) {
-            return res.status(404).json({ status: "FAILED", message: "Order not found or has been deleted" });
-        }
-
-        // Only update the status
-        order.status = status;
-        await order.save();
-
-        return res.json({ 
-            status: "SUCCESS", 
-            message: "Order status updated successfully", 
-            data: order 
-        });
+        const backorders = await Order.aggregate([
+            { $match: {
+                deletedAt: 0,
+                status: { $nin: ['Cancelled', 'Delivered'] },
+                "items.backorderedQuantity": { $gt: 0 }
+            }},
+            { $unwind: "$items" },
+            { $match: { "items.backorderedQuantity": { $gt: 0 } } },
+            { $lookup: {
+                from: "stocks",
+                localField: "items.stock",
+                foreignField: "_id",
+                as: "stockInfo"
+            }},
+            { $unwind: "$stockInfo" },
+            ...(product ? [{ $match: { "stockInfo.product": new mongoose.Types.ObjectId(product) } }] : []),
+            { $sort: { createdAt: 1 } },
+            { $group: {
+                _id: { product: "$stockInfo.product", size: "$items.size" },
+                productName: { $first: "$items.productName" },
+                totalBackordered: { $sum: "$items.backorderedQuantity" },
+                orders: { $push: {
+                    orderId: "$_id",
+                    itemId: "$items._id",
+                    customer: "$customer",
+                    backorderedQuantity: "$items.backorderedQuantity",
+                    orderedAt: "$createdAt"
+                }}
+            }},
+            { $sort: { productName: 1, "_id.size": 1 } },
+            { $project: {
+                _id: 0,
+                product: "$_id.product",
+                size: "$_id.size",
+                productName: 1,
+                totalBackordered: 1,
+                orders: 1
+            }}
+        ]);
 
+        return res.json({ status: "SUCCESS", data: backorders });
     } catch (err) {
         console.error(err);
         return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
@@ -225,19 +1293,34 @@ const updateOrderStatus = async (req, res) => {
 const softDeleteOrder = async (req, res) => {
     const { id } = req.params;
 
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
     try {
-        const order = await Order.findOne({ _id: id, deletedAt: 0 });
+        const order = await Order.findOne({ _id: id, deletedAt: 0 }).session(session);
         if (!order) {
+            await session.abortTransaction();
+            session.endSession();
             return res.status(404).json({ status: "FAILED", message: "Order not found or already deleted" });
         }
 
+        // Cancelled orders have already given their stock back
+        if (holdsStock(order)) {
+            await returnOrderStock(order, session, req.userId);
+        }
+
         order.deletedAt = Date.now();
-        await order.save();
+        await order.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
 
         return res.json({ status: "SUCCESS", message: "Order soft deleted successfully" });
 
     } catch (err) {
         console.error(err);
+        await session.abortTransaction();
+        session.endSession();
         return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
     }
 };
@@ -248,19 +1331,41 @@ const softDeleteOrder = async (req, res) => {
 const restoreOrder = async (req, res) => {
     const { id } = req.params;
 
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
     try {
-        const order = await Order.findOne({ _id: id, deletedAt: { $ne: 0 } });
+        await releaseExpiredReservations();
+
+        const order = await Order.findOne({ _id: id, deletedAt: { $ne: 0 } }).session(session);
         if (!order) {
+            await session.abortTransaction();
+            session.endSession();
             return res.status(404).json({ status: "FAILED", message: "Order not found or not deleted" });
         }
 
+        // A restored order needs its stock again, unless it was cancelled
+        if (order.status !== 'Cancelled') {
+            const stockError = await deductOrderStock(order, session, req.userId);
+            if (stockError) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(409).json({ status: "FAILED", message: `Cannot restore order: ${stockError}` });
+            }
+        }
+
         order.deletedAt = 0;
-        await order.save();
+        await order.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
 
         return res.json({ status: "SUCCESS", message: "Order restored successfully", data: order });
 
     } catch (err) {
         console.error(err);
+        await session.abortTransaction();
+        session.endSession();
         return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
     }
 };
@@ -271,16 +1376,33 @@ const restoreOrder = async (req, res) => {
 const permanentlyDeleteOrder = async (req, res) => {
     const { id } = req.params;
 
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
     try {
-        const result = await Order.findByIdAndDelete(id);
-        if (!result) {
+        const order = await Order.findById(id).session(session);
+        if (!order) {
+            await session.abortTransaction();
+            session.endSession();
             return res.status(404).json({ status: "FAILED", message: "Order not found" });
         }
 
+        // Soft-deleted and cancelled orders have already given their stock back
+        if (holdsStock(order)) {
+            await returnOrderStock(order, session, req.userId);
+        }
+
+        await Order.deleteOne({ _id: order._id }, { session });
+
+        await session.commitTransaction();
+        session.endSession();
+
         return res.json({ status: "SUCCESS", message: "Order permanently deleted" });
 
     } catch (err) {
         console.error(err);
+        await session.abortTransaction();
+        session.endSession();
         return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
     }
 };
@@ -345,6 +1467,17 @@ const countOrders = async (req, res) => {
             }}
         ]);
         
+        // Get outstanding receivables (unpaid balances of orders that weren't cancelled)
+        const receivables = await Order.aggregate([
+            { $match: { ...activeQuery, status: { $ne: 'Cancelled' }, $expr: { $gt: [Order.BALANCE_DUE, 0] } } },
+            { $group: {
+                _id: null,
+                outstanding: { $sum: Order.BALANCE_DUE },
+                orderCount: { $sum: 1 }
+            }},
+            { $project: { _id: 0, outstanding: 1, orderCount: 1 } }
+        ]);
+        
         // Get orders by status
         const statusCounts = await Order.aggregate([
             { $match: { deletedAt: 0 } },
@@ -385,6 +1518,7 @@ const countOrders = async (req, res) => {
                 total: totalCount,
                 sales: salesStats[0] || { totalSales: 0, avgOrderValue: 0, count: 0 },
                 byStatus: statusCounts,
+                receivables: receivables[0] || { outstanding: 0, orderCount: 0 },
                 topCustomers: customerCounts
             }
         });
@@ -404,6 +1538,12 @@ module.exports = {
     getAllOrdersWithDeleted,
     getOrderById,
     updateOrderStatus,
+    getOrderStatusHistory,
+    addOrderItem,
+    updateOrderItem,
+    removeOrderItem,
+    getBackorders,
+    updateOrderShipping,
     softDeleteOrder,
     restoreOrder,
     permanentlyDeleteOrder,
@@ -0,0 +1,163 @@
+const Payment = require('../model/Payment');
+const Order = require('../model/Order');
+const mongoose = require('mongoose');
+const roundCurrency = require('../utils/roundCurrency');
+
+/**
+ * Recount what has been paid on an order from its active payments
+ */
+const syncOrderPayments = async (order, session) => {
+    const payments = await Payment.find({ order: order._id, deletedAt: 0 }).session(session);
+    order.amountPaid = roundCurrency(payments.reduce((sum, payment) => sum + payment.amount, 0));
+    await order.save({ session });
+};
+
+/**
+ * Record a full or partial payment against an order
+ */
+const addPayment = async (req, res) => {
+    const { orderId, method, reference, paidAt } = req.body;
+    const amount = roundCurrency(Number(req.body.amount));
+
+    if (!orderId || !method || !req.body.amount) {
+        return res.status(400).json({ status: "FAILED", message: "Order, method and amount are required" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid order ID" });
+    }
+
+    if (!['cash', 'card', 'bank transfer'].includes(method)) {
+        return res.status(400).json({ status: "FAILED", message: "Method must be cash, card or bank transfer" });
+    }
+
+    if (isNaN(amount) || amount <= 0) {
+        return res.status(400).json({ status: "FAILED", message: "Amount must be greater than 0" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const order = await Order.findOne({ _id: orderId, deletedAt: 0 }).session(session);
+        if (!order) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Order not found or has been deleted" });
+        }
+
+        if (order.status === 'Cancelled') {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: "Payments cannot be recorded against a cancelled order" });
+        }
+
+        const balanceDue = roundCurrency(order.totalAmount - (order.amountPaid || 0));
+        if (amount > balanceDue) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: `Amount exceeds the balance due of ${balanceDue}` });
+        }
+
+        const [payment] = await Payment.create([{
+            order: order._id,
+            method,
+            amount,
+            reference,
+            paidAt: paidAt || Date.now(),
+            recordedBy: req.userId
+        }], { session });
+
+        await syncOrderPayments(order, session);
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.status(201).json({
+            status: "SUCCESS",
+            message: "Payment recorded successfully",
+            data: {
+                payment,
+                amountPaid: order.amountPaid,
+                balanceDue: order.balanceDue,
+                paymentStatus: order.paymentStatus
+            }
+        });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get all active payments, optionally for one order or method
+ */
+const getAllPayments = async (req, res) => {
+    const { order, method } = req.query;
+
+    try {
+        const query = { deletedAt: 0 };
+        if (order && mongoose.Types.ObjectId.isValid(order)) query.order = order;
+        if (method) query.method = method;
+
+        const payments = await Payment.find(query)
+            .populate({ path: 'order', select: 'customer totalAmount amountPaid balanceDue paymentStatus', populate: { path: 'customer' } })
+            .sort({ paidAt: -1 });
+
+        return res.json({ status: "SUCCESS", data: payments });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Void a payment recorded in error
+ */
+const voidPayment = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid payment ID" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const payment = await Payment.findOne({ _id: id, deletedAt: 0 }).session(session);
+        if (!payment) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Payment not found or already voided" });
+        }
+
+        payment.deletedAt = Date.now();
+        await payment.save({ session });
+
+        const order = await Order.findById(payment.order).session(session);
+        if (order) {
+            await syncOrderPayments(order, session);
+        }
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.json({ status: "SUCCESS", message: "Payment voided successfully" });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    addPayment,
+    getAllPayments,
+    voidPayment
+};
@@ -11,12 +11,16 @@ const addProduct = async (req, res) => {
     console.log('Request body:', req.body);
     console.log('Files:', req.files);
 
-    const { name, description, category } = req.body;
+    const { name, description, category, weight } = req.body;
 
     if (!name || !description || !category) {
         return res.status(400).json({ status: "FAILED", message: "Name, description, and category are required" });
     }
 
+    if (weight !== undefined && weight !== '' && (isNaN(weight) || Number(weight) < 0)) {
+        return res.status(400).json({ status: "FAILED", message: "Weight must be a non-negative number" });
+    }
+
     if (!mongoose.Types.ObjectId.isValid(category)) {
         return res.status(400).json({ status: "FAILED", message: "Invalid category ID" });
     }
@@ -52,6 +56,7 @@ const addProduct = async (req, res) => {
             description,
             category,
             images: imageUrls,
+            weight: weight !== undefined && weight !== '' ? Number(weight) : 0,
             deletedAt: 0
         });
 
@@ -135,13 +140,17 @@ const getProductById = async (req, res) => {
  */
 const updateProduct = async (req, res) => {
     const { id } = req.params;
-    const { name, description, category, existingImages, removedImages } = req.body;
+    const { name, description, category, existingImages, removedImages, weight } = req.body;
 
     // Validate required fields
     if (!name || !description || !category) {
         return res.status(400).json({ status: "FAILED", message: "Name, description, and category are required" });
     }
 
+    if (weight !== undefined && weight !== '' && (isNaN(weight) || Number(weight) < 0)) {
+        return res.status(400).json({ status: "FAILED", message: "Weight must be a non-negative number" });
+    }
+
     // Ensure category ID is valid
     if (!mongoose.Types.ObjectId.isValid(category)) {
         return res.status(400).json({ status: "FAILED", message: "Invalid category ID" });
@@ -172,6 +181,7 @@ const updateProduct = async (req, res) => {
         product.description = description;
         product.category = category;
         product.images = mergedImages;
+        if (weight !== undefined && weight !== '') product.weight = Number(weight);
 
         await product.save();
 
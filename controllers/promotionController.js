@@ -0,0 +1,310 @@
+const Promotion = require('../model/Promotion');
+const Category = require('../model/Category');
+const mongoose = require('mongoose');
+
+/**
+ * Validate promotion fields shared by add and update.
+ * Returns an error message, or null when the fields are valid.
+ */
+const validatePromotionFields = async ({ code, type, value, category, validFrom, validTo, usageLimit, perCustomerLimit }) => {
+    if (!code || !type || value === undefined || value === null) {
+        return "Code, type and value are required";
+    }
+
+    if (!['percentage', 'fixed', 'category'].includes(type)) {
+        return "Type must be percentage, fixed or category";
+    }
+
+    if (isNaN(value) || Number(value) <= 0) {
+        return "Value must be greater than 0";
+    }
+
+    if (type === 'percentage' && Number(value) > 100) {
+        return "A percentage discount cannot exceed 100";
+    }
+
+    if (type === 'category') {
+        if (!category || !mongoose.Types.ObjectId.isValid(category)) {
+            return "A valid category is required for category promotions";
+        }
+
+        const categoryData = await Category.findOne({ _id: category, deletedAt: 0 });
+        if (!categoryData) {
+            return "Category not found";
+        }
+    }
+
+    if (validFrom && validTo && new Date(validTo) <= new Date(validFrom)) {
+        return "Valid to date must be after valid from date";
+    }
+
+    if ((usageLimit && Number(usageLimit) < 1) || (perCustomerLimit && Number(perCustomerLimit) < 1)) {
+        return "Usage limits must be at least 1";
+    }
+
+    return null;
+};
+
+/**
+ * Add a new promotion
+ */
+const addPromotion = async (req, res) => {
+    const { code, description, type, value, category, validFrom, validTo, usageLimit, perCustomerLimit } = req.body;
+
+    try {
+        const validationError = await validatePromotionFields(req.body);
+        if (validationError) {
+            return res.status(400).json({ status: "FAILED", message: validationError });
+        }
+
+        const existingPromotion = await Promotion.findOne({
+            code: code.trim().toUpperCase(),
+            deletedAt: 0
+        });
+
+        if (existingPromotion) {
+            return res.status(400).json({ status: "FAILED", message: "Promo code already exists" });
+        }
+
+        const newPromotion = new Promotion({
+            code,
+            description,
+            type,
+            value,
+            category: type === 'category' ? category : undefined,
+            validFrom: validFrom || Date.now(),
+            validTo,
+            usageLimit: usageLimit || undefined,
+            perCustomerLimit: perCustomerLimit || undefined,
+            deletedAt: 0
+        });
+
+        await newPromotion.save();
+
+        return res.status(201).json({ status: "SUCCESS", message: "Promotion added successfully", data: newPromotion });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get all non-deleted promotions
+ */
+const getAllPromotions = async (req, res) => {
+    try {
+        const promotions = await Promotion.find({ deletedAt: 0 })
+            .populate('category')
+            .sort({ createdAt: -1 });
+        return res.json({ status: "SUCCESS", data: promotions });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get all promotions including deleted ones
+ */
+const getAllPromotionsWithDeleted = async (req, res) => {
+    try {
+        const promotions = await Promotion.find()
+            .populate('category')
+            .sort({ createdAt: -1 });
+        return res.json({ status: "SUCCESS", data: promotions });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get a single promotion by ID
+ */
+const getPromotionById = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid promotion ID" });
+    }
+
+    try {
+        const promotion = await Promotion.findOne({ _id: id, deletedAt: 0 }).populate('category');
+
+        if (!promotion) {
+            // Check if the promotion exists but is soft deleted
+            const softDeleted = await Promotion.findById(id);
+            if (softDeleted && softDeleted.deletedAt !== 0) {
+                return res.status(410).json({ status: "FAILED", message: "Promotion has been deleted" });
+            }
+
+            return res.status(404).json({ status: "FAILED", message: "Promotion not found" });
+        }
+
+        return res.json({ status: "SUCCESS", data: promotion });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Update an existing promotion
+ */
+const updatePromotion = async (req, res) => {
+    const { id } = req.params;
+    const { code, description, type, value, category, validFrom, validTo, usageLimit, perCustomerLimit } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid promotion ID" });
+    }
+
+    try {
+        const validationError = await validatePromotionFields(req.body);
+        if (validationError) {
+            return res.status(400).json({ status: "FAILED", message: validationError });
+        }
+
+        const promotion = await Promotion.findOne({ _id: id, deletedAt: 0 });
+        if (!promotion) {
+            return res.status(404).json({ status: "FAILED", message: "Promotion not found or has been deleted" });
+        }
+
+        // Check if the code already exists on another active promotion
+        const normalisedCode = code.trim().toUpperCase();
+        if (normalisedCode !== promotion.code) {
+            const existingPromotion = await Promotion.findOne({
+                code: normalisedCode,
+                _id: { $ne: id },
+                deletedAt: 0
+            });
+
+            if (existingPromotion) {
+                return res.status(400).json({ status: "FAILED", message: "Promo code already exists" });
+            }
+        }
+
+        // Update fields
+        promotion.code = code;
+        promotion.description = description;
+        promotion.type = type;
+        promotion.value = value;
+        promotion.category = type === 'category' ? category : undefined;
+        if (validFrom) promotion.validFrom = validFrom;
+        promotion.validTo = validTo || undefined;
+        promotion.usageLimit = usageLimit || undefined;
+        promotion.perCustomerLimit = perCustomerLimit || undefined;
+
+        await promotion.save();
+
+        return res.json({ status: "SUCCESS", message: "Promotion updated successfully", data: promotion });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Soft delete a promotion
+ */
+const softDeletePromotion = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid promotion ID" });
+    }
+
+    try {
+        const promotion = await Promotion.findOne({ _id: id, deletedAt: 0 });
+        if (!promotion) {
+            return res.status(404).json({ status: "FAILED", message: "Promotion not found or already deleted" });
+        }
+
+        // Soft delete by setting deletedAt to current timestamp
+        promotion.deletedAt = Date.now();
+        await promotion.save();
+
+        return res.json({ status: "SUCCESS", message: "Promotion soft deleted successfully" });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Restore a soft-deleted promotion
+ */
+const restorePromotion = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid promotion ID" });
+    }
+
+    try {
+        const promotion = await Promotion.findOne({ _id: id, deletedAt: { $ne: 0 } });
+        if (!promotion) {
+            return res.status(404).json({ status: "FAILED", message: "Promotion not found or is not deleted" });
+        }
+
+        // Check if the code now conflicts with an active promotion
+        const existingPromotion = await Promotion.findOne({
+            code: promotion.code,
+            _id: { $ne: id },
+            deletedAt: 0
+        });
+
+        if (existingPromotion) {
+            return res.status(400).json({
+                status: "FAILED",
+                message: "Cannot restore promotion. Promo code now conflicts with an active promotion."
+            });
+        }
+
+        // Restore by setting deletedAt back to 0
+        promotion.deletedAt = 0;
+        await promotion.save();
+
+        return res.json({ status: "SUCCESS", message: "Promotion restored successfully", data: promotion });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Permanently delete a promotion
+ */
+const permanentlyDeletePromotion = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await Promotion.findByIdAndDelete(id);
+
+        if (!result) {
+            return res.status(404).json({ status: "FAILED", message: "Promotion not found" });
+        }
+
+        return res.json({ status: "SUCCESS", message: "Promotion permanently deleted" });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    addPromotion,
+    getAllPromotions,
+    getAllPromotionsWithDeleted,
+    getPromotionById,
+    updatePromotion,
+    softDeletePromotion,
+    restorePromotion,
+    permanentlyDeletePromotion
+};
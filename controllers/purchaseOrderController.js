@@ -0,0 +1,513 @@
+const PurchaseOrder = require('../model/PurchaseOrder');
+const Supplier = require('../model/Supplier');
+const Product = require('../model/Product');
+const Counter = require('../model/Counter');
+const Location = require('../model/Location');
+const mongoose = require('mongoose');
+const { receiveIntoStock } = require('../services/stockService');
+const { allocateBackorders } = require('../services/backorderService');
+const roundCurrency = require('../utils/roundCurrency');
+
+const SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL'];
+
+/**
+ * Validate purchase order lines against active products.
+ * Returns { items } ready to save or { error }.
+ */
+const parseItems = async (items) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { error: "At least one item is required" };
+    }
+
+    const parsed = [];
+    for (const item of items) {
+        const quantity = Number(item.quantity);
+        const unitCost = Number(item.unitCost);
+
+        if (!mongoose.Types.ObjectId.isValid(item.product) || !(await Product.findOne({ _id: item.product, deletedAt: 0 }))) {
+            return { error: `Invalid product: ${item.product}` };
+        }
+        if (!SIZES.includes(item.size)) {
+            return { error: `Size must be one of: ${SIZES.join(', ')}` };
+        }
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return { error: "Quantities must be positive whole numbers" };
+        }
+        if (item.unitCost === undefined || item.unitCost === null || isNaN(unitCost) || unitCost < 0) {
+            return { error: "Each item needs a non-negative unit cost" };
+        }
+
+        parsed.push({ product: item.product, size: item.size, quantity, unitCost });
+    }
+
+    return { items: parsed };
+};
+
+/**
+ * Make sure the supplier exists and is active. Returns an error message or null.
+ */
+const checkSupplier = async (supplier) => {
+    if (!mongoose.Types.ObjectId.isValid(supplier) || !(await Supplier.findOne({ _id: supplier, deletedAt: 0 }))) {
+        return "A valid supplier is required";
+    }
+    return null;
+};
+
+/**
+ * Total cost of the ordered lines
+ */
+const totalCostOf = (items) => roundCurrency(items.reduce((sum, item) => sum + item.unitCost * item.quantity, 0));
+
+/**
+ * Ordered against received for every line of a purchase order
+ */
+const summariseLines = (purchaseOrder) => purchaseOrder.items.map(item => ({
+    itemId: item._id,
+    product: item.product,
+    size: item.size,
+    ordered: item.quantity,
+    received: item.receivedQuantity,
+    outstanding: Math.max(item.quantity - item.receivedQuantity, 0),
+    // Positive when more arrived than was ordered
+    variance: item.receivedQuantity - item.quantity
+}));
+
+/**
+ * Load an active purchase order with its supplier and products
+ */
+const findPurchaseOrder = (id) => {
+    return PurchaseOrder.findOne({ _id: id, deletedAt: 0 })
+        .populate('supplier', 'name email phone leadTimeDays paymentTerms')
+        .populate('items.product', 'name productCode');
+};
+
+/**
+ * Raise a new purchase order as a draft
+ */
+const addPurchaseOrder = async (req, res) => {
+    const { supplier, items, expectedAt, notes } = req.body;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const supplierError = await checkSupplier(supplier);
+        if (supplierError) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: supplierError });
+        }
+
+        const { items: lines, error } = await parseItems(items);
+        if (error) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: error });
+        }
+
+        // Taking the number and saving the purchase order commit together, so an abort leaves no gap
+        const seq = await Counter.next('purchaseOrder', session);
+
+        const newPurchaseOrder = new PurchaseOrder({
+            poNumber: `PO-${String(seq).padStart(6, '0')}`,
+            supplier,
+            items: lines,
+            expectedAt,
+            notes,
+            totalCost: totalCostOf(lines),
+            createdBy: req.userId,
+            deletedAt: 0
+        });
+
+        await newPurchaseOrder.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.status(201).json({ status: "SUCCESS", message: "Purchase order created successfully", data: newPurchaseOrder });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get all non-deleted purchase orders (?status, ?supplier)
+ */
+const getAllPurchaseOrders = async (req, res) => {
+    const { status, supplier } = req.query;
+
+    try {
+        const filter = { deletedAt: 0 };
+
+        if (status) {
+            if (!PurchaseOrder.STATUSES.includes(status)) {
+                return res.status(400).json({ status: "FAILED", message: `Status must be one of: ${PurchaseOrder.STATUSES.join(', ')}` });
+            }
+            filter.status = status;
+        }
+
+        if (supplier) {
+            if (!mongoose.Types.ObjectId.isValid(supplier)) {
+                return res.status(400).json({ status: "FAILED", message: "Invalid supplier ID" });
+            }
+            filter.supplier = supplier;
+        }
+
+        const purchaseOrders = await PurchaseOrder.find(filter)
+            .populate('supplier', 'name')
+            .populate('items.product', 'name productCode')
+            .sort({ createdAt: -1 });
+
+        return res.json({ status: "SUCCESS", data: purchaseOrders });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get a purchase order with its receipts and what is still outstanding
+ */
+const getPurchaseOrderById = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid purchase order ID" });
+    }
+
+    try {
+        const purchaseOrder = await findPurchaseOrder(id)
+            .populate('receipts.lines.stock', 'batchNumber')
+            .populate('receipts.receivedBy', 'name email');
+
+        if (!purchaseOrder) {
+            return res.status(404).json({ status: "FAILED", message: "Purchase order not found or has been deleted" });
+        }
+
+        return res.json({
+            status: "SUCCESS",
+            data: {
+                ...purchaseOrder.toObject(),
+                lines: summariseLines(purchaseOrder)
+            }
+        });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Update a draft purchase order
+ */
+const updatePurchaseOrder = async (req, res) => {
+    const { id } = req.params;
+    const { supplier, items, expectedAt, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid purchase order ID" });
+    }
+
+    try {
+        const purchaseOrder = await PurchaseOrder.findOne({ _id: id, deletedAt: 0 });
+        if (!purchaseOrder) {
+            return res.status(404).json({ status: "FAILED", message: "Purchase order not found or has been deleted" });
+        }
+
+        if (purchaseOrder.status !== 'Draft') {
+            return res.status(400).json({ status: "FAILED", message: `Only draft purchase orders can be changed. Current status: ${purchaseOrder.status}` });
+        }
+
+        if (supplier !== undefined) {
+            const supplierError = await checkSupplier(supplier);
+            if (supplierError) {
+                return res.status(400).json({ status: "FAILED", message: supplierError });
+            }
+            purchaseOrder.supplier = supplier;
+        }
+
+        if (items !== undefined) {
+            const { items: lines, error } = await parseItems(items);
+            if (error) {
+                return res.status(400).json({ status: "FAILED", message: error });
+            }
+            purchaseOrder.items = lines;
+            purchaseOrder.totalCost = totalCostOf(lines);
+        }
+
+        if (expectedAt !== undefined) purchaseOrder.expectedAt = expectedAt;
+        if (notes !== undefined) purchaseOrder.notes = notes;
+
+        await purchaseOrder.save();
+
+        return res.json({ status: "SUCCESS", message: "Purchase order updated successfully", data: purchaseOrder });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Mark a draft purchase order as sent to the supplier
+ */
+const sendPurchaseOrder = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid purchase order ID" });
+    }
+
+    try {
+        const purchaseOrder = await PurchaseOrder.findOne({ _id: id, deletedAt: 0 });
+        if (!purchaseOrder) {
+            return res.status(404).json({ status: "FAILED", message: "Purchase order not found or has been deleted" });
+        }
+
+        if (purchaseOrder.status !== 'Draft') {
+            return res.status(400).json({ status: "FAILED", message: `Purchase order has already been ${purchaseOrder.status.toLowerCase()}` });
+        }
+
+        purchaseOrder.status = 'Sent';
+        purchaseOrder.sentAt = Date.now();
+        await purchaseOrder.save();
+
+        return res.json({ status: "SUCCESS", message: "Purchase order marked as sent", data: purchaseOrder });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Receive goods against a sent purchase order.
+ * Each line tops up or creates a stock batch and the receipt records arrived against outstanding.
+ */
+const receivePurchaseOrder = async (req, res) => {
+    const { id } = req.params;
+    const { lines, note, location: locationId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid purchase order ID" });
+    }
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+        return res.status(400).json({ status: "FAILED", message: "At least one received line is required" });
+    }
+
+    if (locationId !== undefined && !mongoose.Types.ObjectId.isValid(locationId)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid location ID" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const purchaseOrder = await PurchaseOrder.findOne({ _id: id, deletedAt: 0 }).session(session);
+        if (!purchaseOrder) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Purchase order not found or has been deleted" });
+        }
+
+        if (!['Sent', 'Partially Received'].includes(purchaseOrder.status)) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: `Goods can't be received on a ${purchaseOrder.status.toLowerCase()} purchase order` });
+        }
+
+        // Deliveries go to the default location unless another is given
+        const location = locationId
+            ? await Location.findOne({ _id: locationId, deletedAt: 0 }).session(session)
+            : await Location.findOne({ isDefault: true, deletedAt: 0 }).session(session);
+        if (locationId && !location) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Location not found or has been deleted" });
+        }
+
+        const receiptLines = [];
+        const receivedStocks = [];
+
+        for (const line of lines) {
+            const item = purchaseOrder.items.id(line.itemId);
+            if (!item) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(404).json({ status: "FAILED", message: `Purchase order item not found: ${line.itemId}` });
+            }
+
+            if (receiptLines.some(receiptLine => receiptLine.orderItem.equals(item._id))) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: `Item ${line.itemId} is listed more than once` });
+            }
+
+            // Zero is allowed so a short delivery can be recorded against the line
+            const quantity = Number(line.quantity);
+            if (!Number.isInteger(quantity) || quantity < 0) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: "Received quantities must be whole numbers of zero or more" });
+            }
+
+            if (line.price !== undefined && line.price !== null && (isNaN(line.price) || Number(line.price) < 0)) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: "Sale price cannot be negative" });
+            }
+
+            if (line.expiryDate != null && isNaN(new Date(line.expiryDate))) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: "Invalid expiry date" });
+            }
+
+            const receiptLine = {
+                orderItem: item._id,
+                expectedQuantity: Math.max(item.quantity - item.receivedQuantity, 0),
+                receivedQuantity: quantity,
+                lotNumber: line.lotNumber,
+                expiryDate: line.expiryDate ?? undefined,
+                note: line.note
+            };
+
+            if (quantity > 0) {
+                const product = await Product.findById(item.product).session(session);
+                const result = await receiveIntoStock({
+                    product,
+                    size: item.size,
+                    quantity,
+                    price: line.price !== undefined && line.price !== null ? Number(line.price) : undefined,
+                    costPrice: item.unitCost,
+                    supplier: purchaseOrder.supplier,
+                    location: location?._id,
+                    lotNumber: receiptLine.lotNumber,
+                    expiryDate: receiptLine.expiryDate
+                }, { sourceType: 'PurchaseOrder', sourceId: purchaseOrder._id, user: req.userId, note: purchaseOrder.poNumber }, session);
+
+                if (result.error) {
+                    await session.abortTransaction();
+                    session.endSession();
+                    return res.status(400).json({ status: "FAILED", message: result.error });
+                }
+
+                receiptLine.stock = result.stock._id;
+                receivedStocks.push(result.stock._id);
+                item.receivedQuantity += quantity;
+            }
+
+            receiptLines.push(receiptLine);
+        }
+
+        purchaseOrder.receipts.push({ lines: receiptLines, note, location: location?._id, receivedBy: req.userId });
+
+        if (purchaseOrder.items.every(item => item.receivedQuantity >= item.quantity)) {
+            purchaseOrder.status = 'Received';
+        } else if (purchaseOrder.items.some(item => item.receivedQuantity > 0)) {
+            purchaseOrder.status = 'Partially Received';
+        }
+
+        await purchaseOrder.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        // New stock goes to waiting backorders first
+        for (const stockId of receivedStocks) {
+            await allocateBackorders(stockId, req.userId);
+        }
+
+        return res.json({
+            status: "SUCCESS",
+            message: "Goods received successfully",
+            data: {
+                purchaseOrder,
+                receipt: purchaseOrder.receipts[purchaseOrder.receipts.length - 1],
+                lines: summariseLines(purchaseOrder)
+            }
+        });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Soft delete a purchase order that nothing has been received against
+ */
+const softDeletePurchaseOrder = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid purchase order ID" });
+    }
+
+    try {
+        const purchaseOrder = await PurchaseOrder.findOne({ _id: id, deletedAt: 0 });
+        if (!purchaseOrder) {
+            return res.status(404).json({ status: "FAILED", message: "Purchase order not found or already deleted" });
+        }
+
+        if (purchaseOrder.receipts.length > 0) {
+            return res.status(400).json({ status: "FAILED", message: "Purchase orders with receipts cannot be deleted" });
+        }
+
+        // Soft delete by setting deletedAt to current timestamp
+        purchaseOrder.deletedAt = Date.now();
+        await purchaseOrder.save();
+
+        return res.json({ status: "SUCCESS", message: "Purchase order soft deleted successfully" });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Restore a soft-deleted purchase order
+ */
+const restorePurchaseOrder = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid purchase order ID" });
+    }
+
+    try {
+        const purchaseOrder = await PurchaseOrder.findOne({ _id: id, deletedAt: { $ne: 0 } });
+        if (!purchaseOrder) {
+            return res.status(404).json({ status: "FAILED", message: "Purchase order not found or is not deleted" });
+        }
+
+        // Restore by setting deletedAt back to 0
+        purchaseOrder.deletedAt = 0;
+        await purchaseOrder.save();
+
+        return res.json({ status: "SUCCESS", message: "Purchase order restored successfully", data: purchaseOrder });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    addPurchaseOrder,
+    getAllPurchaseOrders,
+    getPurchaseOrderById,
+    updatePurchaseOrder,
+    sendPurchaseOrder,
+    receivePurchaseOrder,
+    softDeletePurchaseOrder,
+    restorePurchaseOrder
+};
@@ -0,0 +1,142 @@
+const Reservation = require('../model/Reservation');
+const Stock = require('../model/Stock');
+const Customer = require('../model/Customer');
+const mongoose = require('mongoose');
+const { releaseReservation, releaseExpiredReservations } = require('../services/reservationService');
+
+// Reservations last 24 hours unless told otherwise
+const DEFAULT_RESERVATION_MINUTES = 24 * 60;
+
+/**
+ * Reserve stock for a customer until it expires or is confirmed by an order
+ */
+const reserveStock = async (req, res) => {
+    const { stock: stockId, customer: customerId, note } = req.body;
+    const quantity = Number(req.body.quantity);
+    const minutes = req.body.expiresInMinutes !== undefined ? Number(req.body.expiresInMinutes) : DEFAULT_RESERVATION_MINUTES;
+
+    if (!mongoose.Types.ObjectId.isValid(stockId) || !mongoose.Types.ObjectId.isValid(customerId)) {
+        return res.status(400).json({ status: "FAILED", message: "Valid stock and customer IDs are required" });
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        return res.status(400).json({ status: "FAILED", message: "Quantity must be a positive whole number" });
+    }
+
+    if (isNaN(minutes) || minutes <= 0) {
+        return res.status(400).json({ status: "FAILED", message: "expiresInMinutes must be greater than 0" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        // Expired reservations stop holding stock before availability is checked
+        await releaseExpiredReservations({ stock: stockId });
+
+        const customer = await Customer.findOne({ _id: customerId, deletedAt: 0 }).session(session);
+        if (!customer) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Customer not found" });
+        }
+
+        const stock = await Stock.findOne({ _id: stockId, deletedAt: 0 }).session(session);
+        if (!stock) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Stock not found" });
+        }
+
+        // Stock paused by a stocktake can't be held for a sale either
+        if (stock.countingIn?.blockSales) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: `${stock.batchNumber} is being counted in a stocktake and can't be reserved until the count closes` });
+        }
+
+        if (stock.availableQuantity() < quantity) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: `Insufficient stock. Available: ${stock.availableQuantity()}` });
+        }
+
+        stock.reservedQuantity += quantity;
+        await stock.save({ session });
+
+        const [reservation] = await Reservation.create([{
+            stock: stock._id,
+            customer: customer._id,
+            quantity,
+            note,
+            expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+            createdBy: req.userId
+        }], { session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.status(201).json({ status: "SUCCESS", message: "Stock reserved successfully", data: reservation });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get reservations, active ones by default
+ */
+const getReservations = async (req, res) => {
+    const { status = 'Active', stock, customer } = req.query;
+
+    try {
+        await releaseExpiredReservations();
+
+        const query = {};
+        if (status !== 'all') query.status = status;
+        if (stock && mongoose.Types.ObjectId.isValid(stock)) query.stock = stock;
+        if (customer && mongoose.Types.ObjectId.isValid(customer)) query.customer = customer;
+
+        const reservations = await Reservation.find(query)
+            .populate({ path: 'stock', populate: { path: 'product' } })
+            .populate('customer')
+            .sort({ expiresAt: 1 });
+
+        return res.json({ status: "SUCCESS", data: reservations });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Release a reservation before it expires
+ */
+const cancelReservation = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid reservation ID" });
+    }
+
+    try {
+        const reservation = await releaseReservation(id, 'Released');
+        if (!reservation) {
+            return res.status(404).json({ status: "FAILED", message: "Reservation not found or no longer active" });
+        }
+
+        return res.json({ status: "SUCCESS", message: "Reservation released successfully", data: reservation });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    reserveStock,
+    getReservations,
+    cancelReservation
+};
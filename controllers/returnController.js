@@ -0,0 +1,329 @@
+const Return = require('../model/Return');
+const Order = require('../model/Order');
+const mongoose = require('mongoose');
+const { moveStock } = require('../services/stockMovementService');
+const roundCurrency = require('../utils/roundCurrency');
+
+/**
+ * Quantity of an order line that has reached the customer and can be returned
+ */
+const returnableQuantity = (order, orderItem) => {
+    if (orderItem.shippedQuantity > 0) return orderItem.shippedQuantity;
+    return ['Shipped', 'Delivered'].includes(order.status) ? orderItem.quantity : 0;
+};
+
+/**
+ * Price the customer paid per unit of an order line, after its share of the
+ * order discount. Orders from before discounts were spread fall back to the list price.
+ */
+const paidUnitPrice = (orderItem) => {
+    if (orderItem.netAmount === undefined || !orderItem.quantity) return orderItem.unitPrice;
+    return orderItem.netAmount / orderItem.quantity;
+};
+
+/**
+ * Open a return against specific lines of an order
+ */
+const addReturn = async (req, res) => {
+    const { orderId, items, reason } = req.body;
+
+    if (!orderId || !reason || !items || !Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ status: "FAILED", message: "Order, reason and at least one item are required" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid order ID" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        // Claim the order first so a concurrent return of it can't pass the same checks
+        const order = await Order.findOneAndUpdate(
+            { _id: orderId, deletedAt: 0 },
+            { lastReturnAt: Date.now() },
+            { new: true, session }
+        );
+        if (!order) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Order not found or has been deleted" });
+        }
+
+        // Cancelling already put the order's stock back
+        if (order.status === 'Cancelled') {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: "Cancelled orders cannot be returned" });
+        }
+
+        // Quantities already on other returns of this order
+        const previousReturns = await Return.find({ order: orderId }).session(session);
+        const alreadyReturned = (orderItemId) => previousReturns.reduce((sum, ret) => {
+            return sum + ret.items
+                .filter(line => line.orderItem.equals(orderItemId))
+                .reduce((lineSum, line) => lineSum + line.quantity, 0);
+        }, 0);
+
+        const returnItems = [];
+
+        for (const line of items) {
+            const quantity = Number(line.quantity);
+            const orderItem = order.items.id(line.itemId);
+
+            if (!orderItem) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(404).json({ status: "FAILED", message: `Order item not found: ${line.itemId}` });
+            }
+
+            if (returnItems.some(returnItem => returnItem.orderItem.equals(orderItem._id))) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: `Item ${line.itemId} is listed more than once` });
+            }
+
+            const available = returnableQuantity(order, orderItem) - alreadyReturned(orderItem._id);
+            if (!Number.isInteger(quantity) || quantity <= 0 || quantity > available) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({
+                    status: "FAILED",
+                    message: `Invalid quantity for ${orderItem.productName || line.itemId}. Returnable: ${Math.max(available, 0)}`
+                });
+            }
+
+            returnItems.push({
+                orderItem: orderItem._id,
+                stock: orderItem.stock,
+                productName: orderItem.productName,
+                size: orderItem.size,
+                quantity,
+                unitPrice: paidUnitPrice(orderItem)
+            });
+        }
+
+        const newReturn = new Return({
+            order: orderId,
+            items: returnItems,
+            reason,
+            createdBy: req.userId
+        });
+
+        await newReturn.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.status(201).json({ status: "SUCCESS", message: "Return opened successfully", data: newReturn });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get all returns, optionally for one order or status
+ */
+const getAllReturns = async (req, res) => {
+    const { order, status } = req.query;
+
+    try {
+        const query = {};
+        if (order && mongoose.Types.ObjectId.isValid(order)) query.order = order;
+        if (status) query.status = status;
+
+        const returns = await Return.find(query)
+            .populate({ path: 'order', populate: { path: 'customer' } })
+            .sort({ createdAt: -1 });
+
+        return res.json({ status: "SUCCESS", data: returns });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get a return by ID
+ */
+const getReturnById = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid return ID" });
+    }
+
+    try {
+        const ret = await Return.findById(id)
+            .populate({ path: 'order', populate: { path: 'customer' } })
+            .populate('items.stock');
+
+        if (!ret) {
+            return res.status(404).json({ status: "FAILED", message: "Return not found" });
+        }
+
+        return res.json({ status: "SUCCESS", data: ret });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Mark a return as received and restock or write off its items
+ */
+const receiveReturn = async (req, res) => {
+    const { id } = req.params;
+    const { disposition, items = [] } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid return ID" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const ret = await Return.findById(id).session(session);
+        if (!ret) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Return not found" });
+        }
+
+        if (ret.status !== 'Open') {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: `Return has already been ${ret.status.toLowerCase()}` });
+        }
+
+        // Restocked items go back to the location the order was fulfilled from
+        const order = await Order.findById(ret.order).session(session);
+
+        // Per-line choices override the default disposition for the whole return
+        for (const line of ret.items) {
+            const override = items.find(item => String(item.itemId) === String(line._id));
+            const choice = override?.disposition || disposition;
+
+            if (!['restock', 'write-off'].includes(choice)) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({
+                    status: "FAILED",
+                    message: `Disposition for ${line.productName || line._id} must be restock or write-off`
+                });
+            }
+
+            // Cancelling already put the order's stock back, so it can't be restocked again
+            if (choice === 'restock' && order?.status === 'Cancelled') {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: "The order was cancelled and its stock already returned. Write these items off instead" });
+            }
+
+            line.disposition = choice;
+
+            if (choice === 'restock') {
+                await moveStock(line.stock, line.quantity, { reason: 'return', sourceType: 'Return', sourceId: ret._id, user: req.userId, location: order?.location }, session);
+            }
+        }
+
+        ret.status = 'Received';
+        ret.receivedAt = Date.now();
+        ret.receivedBy = req.userId;
+        await ret.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.json({ status: "SUCCESS", message: "Return received successfully", data: ret });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Record the refund for a received return against its order
+ */
+const refundReturn = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid return ID" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const ret = await Return.findById(id).session(session);
+        if (!ret) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Return not found" });
+        }
+
+        if (ret.status !== 'Received') {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: "Only received returns can be refunded" });
+        }
+
+        const order = await Order.findById(ret.order).session(session);
+        if (!order) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Order not found" });
+        }
+
+        // Default to what the customer paid for the returned lines
+        const returnedValue = roundCurrency(ret.items.reduce((sum, line) => sum + (line.unitPrice || 0) * line.quantity, 0));
+        const amount = req.body.amount !== undefined ? roundCurrency(Number(req.body.amount)) : returnedValue;
+        const refundable = roundCurrency(order.totalAmount - order.refundedAmount);
+
+        if (isNaN(amount) || amount <= 0 || amount > refundable) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({
+                status: "FAILED",
+                message: `Refund amount must be greater than 0 and at most ${refundable}`
+            });
+        }
+
+        order.refundedAmount = roundCurrency(order.refundedAmount + amount);
+        await order.save({ session });
+
+        ret.refundAmount = amount;
+        ret.refundedAt = Date.now();
+        ret.status = 'Refunded';
+        await ret.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.json({ status: "SUCCESS", message: "Refund recorded successfully", data: ret });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    addReturn,
+    getAllReturns,
+    getReturnById,
+    receiveReturn,
+    refundReturn
+};
@@ -0,0 +1,249 @@
+const Order = require('../model/Order');
+const Shipment = require('../model/Shipment');
+const mongoose = require('mongoose');
+const { notifyOrderEvent } = require('../services/notificationService');
+
+/**
+ * Work out the order status from its shipments
+ */
+const deriveOrderStatus = (order, shipments) => {
+    const shippedAny = order.items.some(item => item.shippedQuantity > 0);
+    const shippedAll = order.items.every(item => item.shippedQuantity >= item.quantity);
+
+    if (!shippedAny) return order.status;
+    if (!shippedAll) return 'Partially Shipped';
+
+    return shipments.every(shipment => shipment.status === 'Delivered') ? 'Delivered' : 'Shipped';
+};
+
+/**
+ * Recount shipped quantities on the order and move its status to match,
+ * as far as the status transitions allow. Returns true when the order status changed.
+ */
+const syncOrderWithShipments = async (order, userId, session) => {
+    const shipments = await Shipment.find({ order: order._id }).session(session);
+
+    for (const item of order.items) {
+        item.shippedQuantity = shipments.reduce((sum, shipment) => {
+            return sum + shipment.items
+                .filter(line => line.orderItem.equals(item._id))
+                .reduce((lineSum, line) => lineSum + line.quantity, 0);
+        }, 0);
+    }
+
+    const status = deriveOrderStatus(order, shipments);
+    const statusChanged = status !== order.status && order.canTransitionTo(status);
+    if (statusChanged) {
+        order.setStatus(status, userId, 'Updated from shipments');
+    }
+
+    await order.save({ session });
+    return statusChanged;
+};
+
+/**
+ * Create a shipment for some or all of an order's items
+ */
+const createShipment = async (req, res) => {
+    const { id } = req.params;
+    const { items, carrier, trackingNumber, shippedAt } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid order ID" });
+    }
+
+    if (!carrier || !items || !Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ status: "FAILED", message: "Carrier and at least one item are required" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const order = await Order.findOne({ _id: id, deletedAt: 0 }).session(session);
+        if (!order) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Order not found or has been deleted" });
+        }
+
+        if (!['Pending', 'Partially Shipped'].includes(order.status)) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: `Cannot ship an order with status ${order.status}` });
+        }
+
+        const shipmentItems = [];
+
+        for (const line of items) {
+            const quantity = Number(line.quantity);
+            const orderItem = order.items.id(line.itemId);
+
+            if (!orderItem) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(404).json({ status: "FAILED", message: `Order item not found: ${line.itemId}` });
+            }
+
+            if (shipmentItems.some(shipmentItem => shipmentItem.orderItem.equals(orderItem._id))) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: `Item ${line.itemId} is listed more than once` });
+            }
+
+            // Backordered units can't ship until stock is allocated to them
+            const remaining = orderItem.quantity - (orderItem.backorderedQuantity || 0) - orderItem.shippedQuantity;
+            if (!Number.isInteger(quantity) || quantity <= 0 || quantity > remaining) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({
+                    status: "FAILED",
+                    message: `Invalid quantity for ${orderItem.productName || line.itemId}. Remaining to ship: ${remaining}`
+                });
+            }
+
+            shipmentItems.push({ orderItem: orderItem._id, stock: orderItem.stock, quantity });
+        }
+
+        const [shipment] = await Shipment.create([{
+            order: order._id,
+            items: shipmentItems,
+            carrier,
+            trackingNumber,
+            shippedAt: shippedAt || Date.now(),
+            createdBy: req.userId
+        }], { session });
+
+        const statusChanged = await syncOrderWithShipments(order, req.userId, session);
+
+        await session.commitTransaction();
+        session.endSession();
+
+        if (statusChanged) {
+            notifyOrderEvent(order._id, 'status');
+        }
+
+        return res.status(201).json({ status: "SUCCESS", message: "Shipment created successfully", data: { shipment, order } });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * List all shipments of an order
+ */
+const getOrderShipments = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid order ID" });
+    }
+
+    try {
+        const order = await Order.findOne({ _id: id, deletedAt: 0 });
+        if (!order) {
+            return res.status(404).json({ status: "FAILED", message: "Order not found or has been deleted" });
+        }
+
+        const shipments = await Shipment.find({ order: id }).sort({ shippedAt: 1 });
+
+        return res.json({
+            status: "SUCCESS",
+            data: {
+                orderStatus: order.status,
+                items: order.items.map(item => ({
+                    id: item._id,
+                    productName: item.productName,
+                    size: item.size,
+                    quantity: item.quantity,
+                    backorderedQuantity: item.backorderedQuantity,
+                    shippedQuantity: item.shippedQuantity
+                })),
+                shipments
+            }
+        });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Update the carrier details or delivery status of a shipment
+ */
+const updateShipment = async (req, res) => {
+    const { id, shipmentId } = req.params;
+    const { carrier, trackingNumber, shippedAt, status, deliveredAt } = req.body;
+
+    if (status !== undefined && !['Shipped', 'Delivered'].includes(status)) {
+        return res.status(400).json({ status: "FAILED", message: "Status must be Shipped or Delivered" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const order = await Order.findOne({ _id: id, deletedAt: 0 }).session(session);
+        if (!order) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Order not found or has been deleted" });
+        }
+
+        if (order.status === 'Cancelled') {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: "Shipments of a cancelled order cannot be changed" });
+        }
+
+        const shipment = await Shipment.findOne({ _id: shipmentId, order: id }).session(session);
+        if (!shipment) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Shipment not found" });
+        }
+
+        // Delivery is final, like it is for the order
+        if (shipment.status === 'Delivered' && status === 'Shipped') {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: "A delivered shipment cannot be moved back to Shipped" });
+        }
+
+        if (carrier !== undefined) shipment.carrier = carrier;
+        if (trackingNumber !== undefined) shipment.trackingNumber = trackingNumber;
+        if (shippedAt !== undefined) shipment.shippedAt = shippedAt;
+        if (status !== undefined) {
+            shipment.status = status;
+            shipment.deliveredAt = status === 'Delivered' ? (deliveredAt || Date.now()) : undefined;
+        }
+
+        await shipment.save({ session });
+        const statusChanged = await syncOrderWithShipments(order, req.userId, session);
+
+        await session.commitTransaction();
+        session.endSession();
+
+        if (statusChanged) {
+            notifyOrderEvent(order._id, 'status');
+        }
+
+        return res.json({ status: "SUCCESS", message: "Shipment updated successfully", data: { shipment, order } });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    createShipment,
+    getOrderShipments,
+    updateShipment
+};
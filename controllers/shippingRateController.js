@@ -0,0 +1,179 @@
+const ShippingRate = require('../model/ShippingRate');
+const Customer = require('../model/Customer');
+const mongoose = require('mongoose');
+
+/**
+ * Validate a shipping rate and make sure its state has no other active rate.
+ * Returns an error message, or null when the rate is valid.
+ */
+const validateShippingRate = async ({ name, state, basis, bands, freeShippingThreshold }, excludeId) => {
+    if (!name || !state || !basis) {
+        return "Name, state and basis are required";
+    }
+
+    if (!Customer.STATES.includes(state)) {
+        return `State must be one of: ${Customer.STATES.join(', ')}`;
+    }
+
+    if (!['weight', 'value'].includes(basis)) {
+        return "Basis must be weight or value";
+    }
+
+    if (!Array.isArray(bands) || bands.length === 0) {
+        return "At least one band is required";
+    }
+
+    for (const band of bands) {
+        if (band.charge === undefined || band.charge === null || isNaN(band.charge) || Number(band.charge) < 0) {
+            return "Each band needs a non-negative charge";
+        }
+        if (band.upTo !== undefined && band.upTo !== null && (isNaN(band.upTo) || Number(band.upTo) < 0)) {
+            return "Band limits must be non-negative numbers";
+        }
+    }
+
+    if (bands.filter(band => band.upTo === undefined || band.upTo === null).length > 1) {
+        return "Only one band can be open-ended";
+    }
+
+    if (freeShippingThreshold !== undefined && freeShippingThreshold !== null && (isNaN(freeShippingThreshold) || Number(freeShippingThreshold) < 0)) {
+        return "Free shipping threshold must be a non-negative number";
+    }
+
+    const clash = { state, deletedAt: 0 };
+    if (excludeId) clash._id = { $ne: excludeId };
+
+    if (await ShippingRate.findOne(clash)) {
+        return `A shipping rate already exists for ${state}`;
+    }
+
+    return null;
+};
+
+/**
+ * Keep only the band fields and order them by limit
+ */
+const normaliseBands = (bands) => bands
+    .map(band => ({
+        upTo: band.upTo === undefined || band.upTo === null ? undefined : Number(band.upTo),
+        charge: Number(band.charge)
+    }))
+    .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+
+/**
+ * Add a new shipping rate
+ */
+const addShippingRate = async (req, res) => {
+    const { name, state, basis, bands, freeShippingThreshold } = req.body;
+
+    try {
+        const validationError = await validateShippingRate(req.body);
+        if (validationError) {
+            return res.status(400).json({ status: "FAILED", message: validationError });
+        }
+
+        const newShippingRate = new ShippingRate({
+            name,
+            state,
+            basis,
+            bands: normaliseBands(bands),
+            freeShippingThreshold: freeShippingThreshold ?? undefined,
+            deletedAt: 0
+        });
+
+        await newShippingRate.save();
+
+        return res.status(201).json({ status: "SUCCESS", message: "Shipping rate added successfully", data: newShippingRate });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get all non-deleted shipping rates
+ */
+const getAllShippingRates = async (req, res) => {
+    try {
+        const shippingRates = await ShippingRate.find({ deletedAt: 0 }).sort({ state: 1 });
+        return res.json({ status: "SUCCESS", data: shippingRates });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Update an existing shipping rate
+ */
+const updateShippingRate = async (req, res) => {
+    const { id } = req.params;
+    const { name, state, basis, bands, freeShippingThreshold } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid shipping rate ID" });
+    }
+
+    try {
+        const shippingRate = await ShippingRate.findOne({ _id: id, deletedAt: 0 });
+        if (!shippingRate) {
+            return res.status(404).json({ status: "FAILED", message: "Shipping rate not found or has been deleted" });
+        }
+
+        const validationError = await validateShippingRate(req.body, id);
+        if (validationError) {
+            return res.status(400).json({ status: "FAILED", message: validationError });
+        }
+
+        // Update fields
+        shippingRate.name = name;
+        shippingRate.state = state;
+        shippingRate.basis = basis;
+        shippingRate.bands = normaliseBands(bands);
+        shippingRate.freeShippingThreshold = freeShippingThreshold ?? undefined;
+
+        await shippingRate.save();
+
+        return res.json({ status: "SUCCESS", message: "Shipping rate updated successfully", data: shippingRate });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Soft delete a shipping rate
+ */
+const softDeleteShippingRate = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid shipping rate ID" });
+    }
+
+    try {
+        const shippingRate = await ShippingRate.findOne({ _id: id, deletedAt: 0 });
+        if (!shippingRate) {
+            return res.status(404).json({ status: "FAILED", message: "Shipping rate not found or already deleted" });
+        }
+
+        // Soft delete by setting deletedAt to current timestamp
+        shippingRate.deletedAt = Date.now();
+        await shippingRate.save();
+
+        return res.json({ status: "SUCCESS", message: "Shipping rate soft deleted successfully" });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    addShippingRate,
+    getAllShippingRates,
+    updateShippingRate,
+    softDeleteShippingRate
+};
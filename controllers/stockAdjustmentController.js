@@ -0,0 +1,307 @@
+const StockAdjustment = require('../model/StockAdjustment');
+const Stock = require('../model/Stock');
+const Location = require('../model/Location');
+const mongoose = require('mongoose');
+const { allocateBackorders } = require('../services/backorderService');
+const { approvalThreshold, applyAdjustment } = require('../services/stockAdjustmentService');
+const { releaseExpiredReservations } = require('../services/reservationService');
+
+const PERIOD_FORMATS = {
+    day: '%Y-%m-%d',
+    week: '%G-W%V',
+    month: '%Y-%m'
+};
+
+/**
+ * Record a stock adjustment; small ones are applied straight away
+ */
+const addStockAdjustment = async (req, res) => {
+    const { stock: stockId, reasonCode, note, location } = req.body;
+    const change = Number(req.body.change);
+
+    if (!stockId || !mongoose.Types.ObjectId.isValid(stockId)) {
+        return res.status(400).json({ status: "FAILED", message: "A valid stock ID is required" });
+    }
+
+    if (!Number.isInteger(change) || change === 0) {
+        return res.status(400).json({ status: "FAILED", message: "Change must be a non-zero whole number" });
+    }
+
+    if (!StockAdjustment.REASONS.includes(reasonCode)) {
+        return res.status(400).json({ status: "FAILED", message: `Reason code must be one of: ${StockAdjustment.REASONS.join(', ')}` });
+    }
+
+    if (location !== undefined && !mongoose.Types.ObjectId.isValid(location)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid location ID" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        // Expired reservations no longer count against the quantity an adjustment can remove
+        await releaseExpiredReservations({ stock: stockId });
+
+        const stock = await Stock.findOne({ _id: stockId, deletedAt: 0 }).session(session);
+        if (!stock) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Stock not found" });
+        }
+
+        if (location && !(await Location.exists({ _id: location, deletedAt: 0 }).session(session))) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Location not found or has been deleted" });
+        }
+
+        const adjustment = new StockAdjustment({
+            stock: stock._id,
+            product: stock.product,
+            change,
+            location,
+            reasonCode,
+            note,
+            requestedBy: req.userId
+        });
+
+        const needsApproval = Math.abs(change) > approvalThreshold();
+        if (!needsApproval) {
+            const applyError = await applyAdjustment(adjustment, session);
+            if (applyError) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: applyError });
+            }
+        }
+
+        await adjustment.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        if (adjustment.status === 'Applied' && change > 0) {
+            await allocateBackorders(stock._id, req.userId);
+        }
+
+        return res.status(201).json({
+            status: "SUCCESS",
+            message: needsApproval
+                ? `Adjustment of more than ${approvalThreshold()} units is waiting for approval`
+                : "Stock adjusted successfully",
+            data: adjustment
+        });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get stock adjustments (?status, ?reasonCode, ?stock)
+ */
+const getAllStockAdjustments = async (req, res) => {
+    const { status, reasonCode, stock } = req.query;
+
+    try {
+        const filter = {};
+        if (status) filter.status = status;
+        if (reasonCode) filter.reasonCode = reasonCode;
+        if (stock && mongoose.Types.ObjectId.isValid(stock)) filter.stock = stock;
+
+        const adjustments = await StockAdjustment.find(filter)
+            .populate({ path: 'stock', select: 'batchNumber size quantity', populate: { path: 'product', select: 'name productCode' } })
+            .populate('requestedBy', 'name email')
+            .populate('reviewedBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        return res.json({ status: "SUCCESS", data: adjustments });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Approve a pending adjustment and apply it; the approver must not be the requester
+ */
+const approveStockAdjustment = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid adjustment ID" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const adjustment = await StockAdjustment.findOne({ _id: id, status: 'Pending Approval' }).session(session);
+        if (!adjustment) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Adjustment not found or not waiting for approval" });
+        }
+
+        if (adjustment.requestedBy.equals(req.userId)) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(403).json({ status: "FAILED", message: "Adjustments must be approved by a different user" });
+        }
+
+        adjustment.reviewedBy = req.userId;
+        adjustment.reviewedAt = Date.now();
+
+        const applyError = await applyAdjustment(adjustment, session);
+        if (applyError) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: applyError });
+        }
+
+        await adjustment.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        if (adjustment.change > 0) {
+            await allocateBackorders(adjustment.stock, req.userId);
+        }
+
+        return res.json({ status: "SUCCESS", message: "Adjustment approved and applied", data: adjustment });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Reject a pending adjustment; the batch is left unchanged
+ */
+const rejectStockAdjustment = async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid adjustment ID" });
+    }
+
+    try {
+        const adjustment = await StockAdjustment.findOne({ _id: id, status: 'Pending Approval' });
+        if (!adjustment) {
+            return res.status(404).json({ status: "FAILED", message: "Adjustment not found or not waiting for approval" });
+        }
+
+        if (adjustment.requestedBy.equals(req.userId)) {
+            return res.status(403).json({ status: "FAILED", message: "Adjustments must be reviewed by a different user" });
+        }
+
+        adjustment.status = 'Rejected';
+        adjustment.reviewedBy = req.userId;
+        adjustment.reviewedAt = Date.now();
+        adjustment.rejectionReason = reason;
+        await adjustment.save();
+
+        return res.json({ status: "SUCCESS", message: "Adjustment rejected", data: adjustment });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Report applied adjustments by reason code and period (?startDate, ?endDate, ?period=day|week|month)
+ */
+const getAdjustmentReport = async (req, res) => {
+    try {
+        const { startDate, endDate, period = 'month' } = req.query;
+
+        // Default to the current month
+        const now = new Date();
+        const from = startDate ? new Date(startDate) : new Date(now.getFullYear(), now.getMonth(), 1);
+        const to = endDate ? new Date(endDate) : new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
+
+        if (isNaN(from) || isNaN(to)) {
+            return res.status(400).json({ status: "FAILED", message: "Invalid date range" });
+        }
+
+        if (!PERIOD_FORMATS[period]) {
+            return res.status(400).json({ status: "FAILED", message: "Period must be day, week or month" });
+        }
+
+        const rows = await StockAdjustment.aggregate([
+            { $match: { status: 'Applied', appliedAt: { $gte: from, $lte: to } } },
+            { $lookup: {
+                from: "stocks",
+                localField: "stock",
+                foreignField: "_id",
+                as: "stockInfo"
+            }},
+            { $unwind: { path: "$stockInfo", preserveNullAndEmptyArrays: true } },
+            { $group: {
+                _id: {
+                    period: { $dateToString: { format: PERIOD_FORMATS[period], date: "$appliedAt" } },
+                    reasonCode: "$reasonCode"
+                },
+                adjustments: { $sum: 1 },
+                unitsAdded: { $sum: { $cond: [{ $gt: ["$change", 0] }, "$change", 0] } },
+                unitsRemoved: { $sum: { $cond: [{ $lt: ["$change", 0] }, { $abs: "$change" }, 0] } },
+                netUnits: { $sum: "$change" },
+                // Valued at the batch's sale price
+                netValue: { $sum: { $multiply: ["$change", { $ifNull: ["$stockInfo.price", 0] }] } }
+            }},
+            { $sort: { "_id.period": 1, "_id.reasonCode": 1 } },
+            { $project: {
+                _id: 0,
+                period: "$_id.period",
+                reasonCode: "$_id.reasonCode",
+                adjustments: 1,
+                unitsAdded: 1,
+                unitsRemoved: 1,
+                netUnits: 1,
+                netValue: { $round: ["$netValue", 2] }
+            }}
+        ]);
+
+        // Totals per reason across the whole range
+        const byReason = StockAdjustment.REASONS.map(reasonCode => {
+            const reasonRows = rows.filter(row => row.reasonCode === reasonCode);
+            return {
+                reasonCode,
+                adjustments: reasonRows.reduce((sum, row) => sum + row.adjustments, 0),
+                netUnits: reasonRows.reduce((sum, row) => sum + row.netUnits, 0),
+                netValue: Math.round(reasonRows.reduce((sum, row) => sum + row.netValue, 0) * 100) / 100
+            };
+        });
+
+        const pendingApproval = await StockAdjustment.countDocuments({ status: 'Pending Approval' });
+
+        return res.json({
+            status: "SUCCESS",
+            data: {
+                period: { from, to, groupedBy: period },
+                byReason,
+                byPeriod: rows,
+                pendingApproval
+            }
+        });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    addStockAdjustment,
+    getAllStockAdjustments,
+    approveStockAdjustment,
+    rejectStockAdjustment,
+    getAdjustmentReport
+};
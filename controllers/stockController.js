@@ -1,13 +1,20 @@
 const Stock = require('../model/Stock');
 const User = require('../model/User');
 const Product = require('../model/Product');
+const Supplier = require('../model/Supplier');
+const Location = require('../model/Location');
+const mongoose = require('mongoose');
 const emailService = require('../services/emailService');
+const { allocateBackorders } = require('../services/backorderService');
+const { recordStockMovement } = require('../services/stockMovementService');
+const { generateBatchNumber } = require('../services/stockService');
+const { alertWindowDays, findExpiringStock, sendExpiryAlerts } = require('../services/expiryService');
 
 /**
  * Create a new stock entry
  */
 const addStock = async (req, res) => {
-    const { product, quantity, size, price, supplier } = req.body;
+    const { product, quantity, size, price, costPrice, supplier, location, lotNumber, expiryDate } = req.body;
 
     if (!product || quantity == null || !size || price == null || !supplier) {
         return res.json({ status: "FAILED", message: "All required fields must be provided" });
@@ -17,6 +24,14 @@ const addStock = async (req, res) => {
         return res.json({ status: "FAILED", message: "Quantity and Price cannot be negative" });
     }
 
+    if (costPrice != null && (isNaN(costPrice) || costPrice < 0)) {
+        return res.json({ status: "FAILED", message: "Cost price cannot be negative" });
+    }
+
+    if (expiryDate != null && isNaN(new Date(expiryDate))) {
+        return res.json({ status: "FAILED", message: "Invalid expiry date" });
+    }
+
     try {
         // Populate productCode from Product model
         const productData = await Product.findById(product);
@@ -24,27 +39,41 @@ const addStock = async (req, res) => {
             return res.json({ status: "FAILED", message: "Invalid product ID" });
         }
 
-        // Generate batch number: BATCH_<productCode>_<DDMMYY>
-        const date = new Date();
-        const day = String(date.getDate()).padStart(2, '0');
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const year = String(date.getFullYear()).slice(-2);
-        const formattedDate = `${day}${month}${year}`;
-        const batchNumber = `BATCH_${productData.productCode}_${formattedDate}`;
+        if (!mongoose.Types.ObjectId.isValid(supplier) || !(await Supplier.findOne({ _id: supplier, deletedAt: 0 }))) {
+            return res.json({ status: "FAILED", message: "Invalid supplier ID" });
+        }
+
+        // Without a location the batch is put at the default location
+        if (location !== undefined && (!mongoose.Types.ObjectId.isValid(location) || !(await Location.findOne({ _id: location, deletedAt: 0 })))) {
+            return res.json({ status: "FAILED", message: "Invalid location ID" });
+        }
+
+        // Generate batch number: BATCH_<productCode>_<DDMMYY>_<NNN>
+        const batchNumber = await generateBatchNumber(productData.productCode);
 
         const newStock = new Stock({
             product,
             batchNumber,
+            lotNumber,
+            expiryDate: expiryDate ?? undefined,
             quantity,
             size,
             price,
+            costPrice: costPrice ?? undefined,
             supplier,
+            locations: location ? [{ location, quantity }] : [],
             lowStockAlert: 5,
             lastRestocked: Date.now()
         });
 
         await newStock.save();
-        return res.json({ status: "SUCCESS", message: "Stock added successfully", data: newStock });
+        await recordStockMovement(newStock, newStock.quantity, { reason: 'restock', sourceType: 'Stock', sourceId: newStock._id, user: req.userId, location });
+
+        // New stock goes to waiting backorders first
+        const backordersAllocated = await allocateBackorders(newStock._id, req.userId);
+        const data = backordersAllocated > 0 ? await Stock.findById(newStock._id) : newStock;
+
+        return res.json({ status: "SUCCESS", message: "Stock added successfully", data, backordersAllocated });
 
     } catch (err) {
         console.error(err);
@@ -57,7 +86,7 @@ const addStock = async (req, res) => {
  */
 const getAllStocks = async (req, res) => {
     try {
-        const stocks = await Stock.find({ deletedAt: 0 }).populate('product');
+        const stocks = await Stock.find({ deletedAt: 0 }).populate('product').populate('supplier', 'name');
         return res.json({ status: "SUCCESS", data: stocks });
     } catch (err) {
         console.error(err);
@@ -71,7 +100,7 @@ const getAllStocks = async (req, res) => {
 const getAllStocksWithDeleted = async (req, res) => {
     try {
         // Find all stocks, including soft-deleted ones
-        const stocks = await Stock.find({}).populate('product');
+        const stocks = await Stock.find({}).populate('product').populate('supplier', 'name');
         return res.json({ status: "SUCCESS", data: stocks });
     } catch (err) {
         console.error(err);
@@ -86,7 +115,7 @@ const getStockById = async (req, res) => {
     const { id } = req.params;
 
     try {
-        const stock = await Stock.findOne({ _id: id, deletedAt: 0 }).populate('product');
+        const stock = await Stock.findOne({ _id: id, deletedAt: 0 }).populate('product').populate('supplier');
         if (!stock) {
             return res.json({ status: "FAILED", message: "Stock not found" });
         }
@@ -102,23 +131,74 @@ const getStockById = async (req, res) => {
  */
 const updateStock = async (req, res) => {
     const { id } = req.params;
-    const { quantity, price, size, lowStockAlert, supplier } = req.body;
+    const { quantity, price, costPrice, size, lowStockAlert, supplier, note, location, lotNumber, expiryDate } = req.body;
+
+    if (costPrice != null && (isNaN(costPrice) || costPrice < 0)) {
+        return res.json({ status: "FAILED", message: "Cost price cannot be negative" });
+    }
+
+    if (expiryDate != null && isNaN(new Date(expiryDate))) {
+        return res.json({ status: "FAILED", message: "Invalid expiry date" });
+    }
 
     try {
-        const stock = await Stock.findOne({ _id: id, deletedAt: 0 });
+        let stock = await Stock.findOne({ _id: id, deletedAt: 0 });
         if (!stock) {
             return res.json({ status: "FAILED", message: "Stock not found" });
         }
 
-        if (quantity !== undefined) stock.quantity = quantity;
+        if (supplier !== undefined && (!mongoose.Types.ObjectId.isValid(supplier) || !(await Supplier.findOne({ _id: supplier, deletedAt: 0 })))) {
+            return res.json({ status: "FAILED", message: "Invalid supplier ID" });
+        }
+
+        // A restock lands at the given location, or at the default location
+        if (location !== undefined && (!mongoose.Types.ObjectId.isValid(location) || !(await Location.findOne({ _id: location, deletedAt: 0 })))) {
+            return res.json({ status: "FAILED", message: "Invalid location ID" });
+        }
+
+        // Quantity can only go up here; any other change needs a reason-coded stock adjustment
+        const change = quantity !== undefined ? quantity - stock.quantity : 0;
+        if (change < 0) {
+            return res.json({
+                status: "FAILED",
+                message: "Stock quantity can't be reduced here. Record a stock adjustment (POST /api/stock-adjustments/add-stock-adjustment) instead"
+            });
+        }
+
+        if (change !== 0) stock.adjustQuantity(change, location);
         if (price !== undefined) stock.price = price;
+        if (costPrice !== undefined) stock.costPrice = costPrice ?? undefined;
         if (size !== undefined) stock.size = size;
         if (lowStockAlert !== undefined) stock.lowStockAlert = lowStockAlert;
         if (supplier !== undefined) stock.supplier = supplier;
-        stock.lastRestocked = Date.now();
+        if (lotNumber !== undefined) stock.lotNumber = lotNumber || undefined;
+
+        // A new expiry date (null clears it) gets its own alert
+        if (expiryDate !== undefined) {
+            stock.expiryDate = expiryDate ?? undefined;
+            stock.expiryAlertSentAt = undefined;
+        }
+
+        if (change > 0) {
+            stock.lastRestocked = Date.now();
+        }
 
         // Save the stock after updates
         await stock.save();
+        await recordStockMovement(stock, change, {
+            reason: 'restock',
+            sourceType: 'Stock',
+            sourceId: stock._id,
+            user: req.userId,
+            location,
+            note
+        });
+
+        // Restocked quantity goes to waiting backorders first
+        const backordersAllocated = await allocateBackorders(stock._id, req.userId);
+        if (backordersAllocated > 0) {
+            stock = await Stock.findById(stock._id);
+        }
 
         // Check if stock quantity is below the low stock alert threshold
         if (stock.quantity <= stock.lowStockAlert) {
@@ -136,7 +216,7 @@ const updateStock = async (req, res) => {
             emailService.sendLowStockAlert(productData.name, stock.batchNumber, stock.quantity, userEmails);
         }
 
-        return res.json({ status: "SUCCESS", message: "Stock updated", data: stock });
+        return res.json({ status: "SUCCESS", message: "Stock updated", data: stock, backordersAllocated });
 
     } catch (err) {
         console.error(err);
@@ -260,6 +340,71 @@ const checkLowStock = async (req, res) => {
     }
 };
 
+/**
+ * Read the ?days window for expiry checks; returns null when it isn't a whole number of days
+ */
+const parseExpiryDays = (days) => {
+    if (days === undefined) return alertWindowDays();
+    const value = Number(days);
+    return Number.isInteger(value) && value >= 0 ? value : null;
+};
+
+/**
+ * Get batches expiring within N days (?days, default EXPIRY_ALERT_DAYS), including expired ones
+ */
+const getExpiringStock = async (req, res) => {
+    const days = parseExpiryDays(req.query.days);
+    if (days === null) {
+        return res.json({ status: "FAILED", message: "Days must be a whole number of zero or more" });
+    }
+
+    try {
+        const stocks = await findExpiringStock(days);
+        const now = Date.now();
+
+        const data = stocks.map(stock => ({
+            _id: stock._id,
+            product: stock.product,
+            batchNumber: stock.batchNumber,
+            lotNumber: stock.lotNumber,
+            size: stock.size,
+            quantity: stock.quantity,
+            expiryDate: stock.expiryDate,
+            daysUntilExpiry: Math.ceil((stock.expiryDate - now) / (24 * 60 * 60 * 1000)),
+            expired: stock.expiryDate <= now
+        }));
+
+        return res.json({ status: "SUCCESS", data, days });
+    } catch (err) {
+        console.error(err);
+        return res.json({ status: "FAILED", message: "Internal server error" });
+    }
+};
+
+/**
+ * Check for expiring batches and email alerts for any not reported yet
+ */
+const checkExpiringStock = async (req, res) => {
+    const days = parseExpiryDays(req.query.days);
+    if (days === null) {
+        return res.json({ status: "FAILED", message: "Days must be a whole number of zero or more" });
+    }
+
+    try {
+        const alerted = await sendExpiryAlerts(days);
+
+        if (alerted > 0) {
+            return res.json({ status: "SUCCESS", message: `Expiry alerts sent for ${alerted} batch(es)` });
+        }
+
+        return res.json({ status: "SUCCESS", message: "No new expiring stock found" });
+
+    } catch (err) {
+        console.error(err);
+        return res.json({ status: "FAILED", message: "Internal server error" });
+    }
+};
+
 module.exports = {
     addStock,
     getAllStocks,
@@ -269,5 +414,7 @@ module.exports = {
     softDeleteStock,
     restoreStock,
     permanentlyDeleteStock,
-    checkLowStock
+    checkLowStock,
+    getExpiringStock,
+    checkExpiringStock
 };
\ No newline at end of file
@@ -0,0 +1,151 @@
+const StockMovement = require('../model/StockMovement');
+const Stock = require('../model/Stock');
+const Product = require('../model/Product');
+const mongoose = require('mongoose');
+
+/**
+ * Build the movement filter shared by the history endpoints (?reason, ?location, ?from, ?to).
+ * Returns { filter } or { error }.
+ */
+const buildMovementFilter = (base, { reason, location, from, to }) => {
+    const filter = { ...base };
+
+    if (location) {
+        if (!mongoose.Types.ObjectId.isValid(location)) {
+            return { error: "Invalid location ID" };
+        }
+        filter.location = location;
+    }
+
+    if (reason) {
+        if (!StockMovement.REASONS.includes(reason)) {
+            return { error: `Reason must be one of: ${StockMovement.REASONS.join(', ')}` };
+        }
+        filter.reason = reason;
+    }
+
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+
+        if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+            return { error: "Invalid date range" };
+        }
+    }
+
+    return { filter };
+};
+
+/**
+ * Send one page of movements, newest first
+ */
+const sendMovements = async (req, res, filter, extra) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const [movements, total] = await Promise.all([
+        StockMovement.find(filter)
+            .populate('user', 'name email')
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        StockMovement.countDocuments(filter)
+    ]);
+
+    return res.json({
+        status: "SUCCESS",
+        data: { ...extra, movements },
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    });
+};
+
+/**
+ * Get the movement history of a stock batch
+ */
+const getStockMovements = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid stock ID" });
+    }
+
+    try {
+        const stock = await Stock.findById(id).populate('product', 'name productCode');
+        if (!stock) {
+            return res.status(404).json({ status: "FAILED", message: "Stock not found" });
+        }
+
+        const { filter, error } = buildMovementFilter({ stock: stock._id }, req.query);
+        if (error) {
+            return res.status(400).json({ status: "FAILED", message: error });
+        }
+
+        return await sendMovements(req, res, filter, {
+            stock: {
+                _id: stock._id,
+                batchNumber: stock.batchNumber,
+                product: stock.product,
+                size: stock.size,
+                quantity: stock.quantity
+            }
+        });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get the movement history of every batch of a product
+ */
+const getProductMovements = async (req, res) => {
+    const { productId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid product ID" });
+    }
+
+    try {
+        const product = await Product.findById(productId).select('name productCode');
+        if (!product) {
+            return res.status(404).json({ status: "FAILED", message: "Product not found" });
+        }
+
+        const { filter, error } = buildMovementFilter({ product: product._id }, req.query);
+        if (error) {
+            return res.status(400).json({ status: "FAILED", message: error });
+        }
+
+        // Current on-hand quantity across the product's live batches (at the location, if given), to check the ledger against
+        const [onHand] = await Stock.aggregate(filter.location
+            ? [
+                { $match: { product: product._id, deletedAt: 0 } },
+                { $unwind: "$locations" },
+                { $match: { "locations.location": new mongoose.Types.ObjectId(filter.location) } },
+                { $group: { _id: null, quantity: { $sum: "$locations.quantity" } } }
+            ]
+            : [
+                { $match: { product: product._id, deletedAt: 0 } },
+                { $group: { _id: null, quantity: { $sum: "$quantity" } } }
+            ]);
+
+        return await sendMovements(req, res, filter, {
+            product,
+            quantityOnHand: onHand ? onHand.quantity : 0
+        });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    getStockMovements,
+    getProductMovements
+};
@@ -0,0 +1,468 @@
+const Stocktake = require('../model/Stocktake');
+const Stock = require('../model/Stock');
+const Product = require('../model/Product');
+const Category = require('../model/Category');
+const Supplier = require('../model/Supplier');
+const StockAdjustment = require('../model/StockAdjustment');
+const mongoose = require('mongoose');
+const { approvalThreshold, applyAdjustment } = require('../services/stockAdjustmentService');
+const { allocateBackorders } = require('../services/backorderService');
+const roundCurrency = require('../utils/roundCurrency');
+
+/**
+ * Counted against expected for each line, valued at the batch's sale price
+ */
+const buildVariances = (stocktake, stocks) => stocktake.lines.map(line => {
+    const stock = stocks.find(candidate => candidate._id.equals(line.stock));
+    const counted = line.countedQuantity !== undefined && line.countedQuantity !== null;
+    const variance = counted ? line.countedQuantity - line.expectedAtCount : null;
+
+    return {
+        lineId: line._id,
+        stock: line.stock,
+        productName: line.productName,
+        batchNumber: line.batchNumber,
+        size: line.size,
+        expectedQuantity: line.expectedQuantity,
+        movedDuringCount: line.movedDuringCount,
+        expectedAtCount: line.expectedAtCount,
+        countedQuantity: line.countedQuantity,
+        variance,
+        varianceValue: counted ? roundCurrency(variance * (stock?.price || 0)) : null,
+        flagged: line.flagged
+    };
+});
+
+/**
+ * Clear the stocktake marker from its batches
+ */
+const releaseCountedStock = (stocktake, session) => {
+    return Stock.updateMany(
+        { 'countingIn.stocktake': stocktake._id },
+        { $unset: { countingIn: 1 } },
+        { session }
+    );
+};
+
+/**
+ * Start a stocktake: snapshot the expected quantity of every batch in scope
+ */
+const startStocktake = async (req, res) => {
+    const { name, scope = 'all', category, supplier, blockSales } = req.body;
+
+    if (!name) {
+        return res.status(400).json({ status: "FAILED", message: "Stocktake name is required" });
+    }
+
+    if (!['all', 'category', 'supplier'].includes(scope)) {
+        return res.status(400).json({ status: "FAILED", message: "Scope must be all, category or supplier" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const filter = { deletedAt: 0 };
+
+        if (scope === 'category') {
+            if (!mongoose.Types.ObjectId.isValid(category) || !(await Category.findOne({ _id: category, deletedAt: 0 }).session(session))) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: "A valid category is required" });
+            }
+            filter.product = { $in: await Product.find({ category }).distinct('_id').session(session) };
+        }
+
+        if (scope === 'supplier') {
+            if (!mongoose.Types.ObjectId.isValid(supplier) || !(await Supplier.findOne({ _id: supplier, deletedAt: 0 }).session(session))) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: "A valid supplier is required" });
+            }
+            filter.supplier = supplier;
+        }
+
+        const stocks = await Stock.find(filter).populate('product', 'name').session(session);
+        if (stocks.length === 0) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: "No stock batches match this stocktake" });
+        }
+
+        // A batch can only be in one open count
+        const busy = stocks.filter(stock => stock.countingIn?.stocktake);
+        if (busy.length > 0) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(409).json({
+                status: "FAILED",
+                message: `Some batches are already being counted: ${busy.map(stock => stock.batchNumber).join(', ')}`
+            });
+        }
+
+        const stocktake = new Stocktake({
+            name,
+            scope: {
+                type: scope,
+                category: scope === 'category' ? category : undefined,
+                supplier: scope === 'supplier' ? supplier : undefined
+            },
+            blockSales: blockSales === true,
+            lines: stocks.map(stock => ({
+                stock: stock._id,
+                product: stock.product?._id,
+                productName: stock.product?.name,
+                batchNumber: stock.batchNumber,
+                size: stock.size,
+                expectedQuantity: stock.quantity
+            })),
+            startedBy: req.userId
+        });
+
+        await stocktake.save({ session });
+
+        await Stock.updateMany(
+            { _id: { $in: stocks.map(stock => stock._id) } },
+            { $set: { countingIn: { stocktake: stocktake._id, blockSales: stocktake.blockSales } } },
+            { session }
+        );
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.status(201).json({
+            status: "SUCCESS",
+            message: `Stocktake started with ${stocktake.lines.length} batch(es)`,
+            data: stocktake
+        });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get stocktakes without their lines (?status)
+ */
+const getAllStocktakes = async (req, res) => {
+    const { status } = req.query;
+
+    try {
+        const filter = {};
+        if (status) filter.status = status;
+
+        const stocktakes = await Stocktake.find(filter)
+            .select('-lines')
+            .populate('startedBy', 'name email')
+            .populate('finalisedBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        return res.json({ status: "SUCCESS", data: stocktakes });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get a stocktake with its lines
+ */
+const getStocktakeById = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid stocktake ID" });
+    }
+
+    try {
+        const stocktake = await Stocktake.findById(id)
+            .populate('startedBy', 'name email')
+            .populate('finalisedBy', 'name email');
+
+        if (!stocktake) {
+            return res.status(404).json({ status: "FAILED", message: "Stocktake not found" });
+        }
+
+        return res.json({ status: "SUCCESS", data: stocktake });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Enter counted quantities, one or many at a time.
+ * Each count names its batch by stock ID, or by batch number and size.
+ */
+const recordCounts = async (req, res) => {
+    const { id } = req.params;
+    const { counts } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid stocktake ID" });
+    }
+
+    if (!Array.isArray(counts) || counts.length === 0) {
+        return res.status(400).json({ status: "FAILED", message: "At least one count is required" });
+    }
+
+    try {
+        const stocktake = await Stocktake.findOne({ _id: id, status: 'In Progress' });
+        if (!stocktake) {
+            return res.status(404).json({ status: "FAILED", message: "Stocktake not found or no longer in progress" });
+        }
+
+        const errors = [];
+        let recorded = 0;
+
+        counts.forEach((count, index) => {
+            const line = count.stock
+                ? stocktake.lines.find(candidate => String(candidate.stock) === String(count.stock))
+                : stocktake.lines.find(candidate => candidate.batchNumber === count.batchNumber && candidate.size === count.size);
+
+            if (!line) {
+                errors.push({ index, message: `Batch is not part of this stocktake: ${count.stock || `${count.batchNumber} (${count.size})`}` });
+                return;
+            }
+
+            const countedQuantity = Number(count.countedQuantity);
+            if (!Number.isInteger(countedQuantity) || countedQuantity < 0) {
+                errors.push({ index, message: `Counted quantity for ${line.batchNumber} must be a whole number of zero or more` });
+                return;
+            }
+
+            // A recount replaces the earlier count
+            line.countedQuantity = countedQuantity;
+            line.expectedAtCount = line.expectedQuantity + line.movedDuringCount;
+            line.countedBy = req.userId;
+            line.countedAt = Date.now();
+            recorded++;
+        });
+
+        // Bulk counts are all or nothing so a spreadsheet can be fixed and sent again
+        if (errors.length > 0) {
+            return res.status(400).json({ status: "FAILED", message: "Some counts could not be recorded", errors });
+        }
+
+        await stocktake.save();
+
+        const remaining = stocktake.lines.filter(line => line.countedQuantity === undefined || line.countedQuantity === null).length;
+
+        return res.json({
+            status: "SUCCESS",
+            message: `Recorded ${recorded} count(s); ${remaining} batch(es) still to count`,
+            data: stocktake
+        });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Show counted against expected for every line of a stocktake
+ */
+const getVariances = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid stocktake ID" });
+    }
+
+    try {
+        const stocktake = await Stocktake.findById(id);
+        if (!stocktake) {
+            return res.status(404).json({ status: "FAILED", message: "Stocktake not found" });
+        }
+
+        const stocks = await Stock.find({ _id: { $in: stocktake.lines.map(line => line.stock) } }).select('price');
+        const lines = buildVariances(stocktake, stocks);
+        const counted = lines.filter(line => line.variance !== null);
+
+        return res.json({
+            status: "SUCCESS",
+            data: {
+                stocktakeId: stocktake._id,
+                name: stocktake.name,
+                status: stocktake.status,
+                summary: {
+                    batches: lines.length,
+                    counted: counted.length,
+                    uncounted: lines.length - counted.length,
+                    withVariance: counted.filter(line => line.variance !== 0).length,
+                    flagged: lines.filter(line => line.flagged).length,
+                    netUnits: counted.reduce((sum, line) => sum + line.variance, 0),
+                    netValue: roundCurrency(counted.reduce((sum, line) => sum + line.varianceValue, 0))
+                },
+                lines
+            }
+        });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Finalise a stocktake: post every variance as a correction adjustment and release the batches.
+ * Variances above the adjustment approval threshold need someone other than the person who started it.
+ */
+const finaliseStocktake = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid stocktake ID" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const stocktake = await Stocktake.findOne({ _id: id, status: 'In Progress' }).session(session);
+        if (!stocktake) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Stocktake not found or no longer in progress" });
+        }
+
+        const uncounted = stocktake.lines.filter(line => line.countedQuantity === undefined || line.countedQuantity === null);
+        if (uncounted.length > 0) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({
+                status: "FAILED",
+                message: `${uncounted.length} batch(es) have not been counted`,
+                data: { uncounted: uncounted.map(line => line.batchNumber) }
+            });
+        }
+
+        const needsApproval = stocktake.lines.some(line => Math.abs(line.countedQuantity - line.expectedAtCount) > approvalThreshold());
+        if (needsApproval && stocktake.startedBy?.equals(req.userId)) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(403).json({
+                status: "FAILED",
+                message: `Variances of more than ${approvalThreshold()} units must be finalised by a different user`
+            });
+        }
+
+        // Release the batches first so the correcting movements aren't flagged against the count
+        await releaseCountedStock(stocktake, session);
+
+        const adjusted = [];
+        for (const line of stocktake.lines) {
+            const change = line.countedQuantity - line.expectedAtCount;
+            if (change === 0) continue;
+
+            const adjustment = new StockAdjustment({
+                stock: line.stock,
+                product: line.product,
+                change,
+                reasonCode: 'correction',
+                note: `Stocktake: ${stocktake.name}`,
+                stocktake: stocktake._id,
+                requestedBy: stocktake.startedBy || req.userId,
+                reviewedBy: req.userId,
+                reviewedAt: Date.now()
+            });
+
+            const applyError = await applyAdjustment(adjustment, session);
+            if (applyError) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json({ status: "FAILED", message: applyError });
+            }
+
+            await adjustment.save({ session });
+            line.adjustment = adjustment._id;
+            adjusted.push(line.stock);
+        }
+
+        stocktake.status = 'Finalised';
+        stocktake.finalisedBy = req.userId;
+        stocktake.finalisedAt = Date.now();
+        await stocktake.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        // Paused batches, and any that gained units, can take waiting backorders now
+        const released = stocktake.blockSales ? stocktake.lines.map(line => line.stock) : adjusted;
+        for (const stockId of released) {
+            await allocateBackorders(stockId, req.userId);
+        }
+
+        return res.json({
+            status: "SUCCESS",
+            message: `Stocktake finalised with ${adjusted.length} adjustment(s)`,
+            data: stocktake
+        });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Cancel an open stocktake without changing any quantities
+ */
+const cancelStocktake = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid stocktake ID" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const stocktake = await Stocktake.findOne({ _id: id, status: 'In Progress' }).session(session);
+        if (!stocktake) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Stocktake not found or no longer in progress" });
+        }
+
+        await releaseCountedStock(stocktake, session);
+
+        stocktake.status = 'Cancelled';
+        stocktake.finalisedBy = req.userId;
+        stocktake.finalisedAt = Date.now();
+        await stocktake.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        if (stocktake.blockSales) {
+            for (const line of stocktake.lines) {
+                await allocateBackorders(line.stock, req.userId);
+            }
+        }
+
+        return res.json({ status: "SUCCESS", message: "Stocktake cancelled", data: stocktake });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    startStocktake,
+    getAllStocktakes,
+    getStocktakeById,
+    recordCounts,
+    getVariances,
+    finaliseStocktake,
+    cancelStocktake
+};
@@ -0,0 +1,314 @@
+const Supplier = require('../model/Supplier');
+const Stock = require('../model/Stock');
+const mongoose = require('mongoose');
+const migrateSuppliers = require('../utils/migrateSuppliers');
+
+/**
+ * Validate the optional supplier fields and return them ready to save.
+ * Returns { fields } or { error }.
+ */
+const parseSupplierFields = ({ contactName, email, phone, address, abn, leadTimeDays, paymentTerms, notes }) => {
+    const fields = { contactName, email, phone, address, paymentTerms, notes };
+
+    if (abn !== undefined && abn !== null && abn !== '') {
+        const digits = String(abn).replace(/\s/g, '');
+        if (!/^\d{11}$/.test(digits)) {
+            return { error: "ABN must be 11 digits" };
+        }
+        fields.abn = digits;
+    }
+
+    if (leadTimeDays !== undefined && leadTimeDays !== null && leadTimeDays !== '') {
+        if (!Number.isInteger(Number(leadTimeDays)) || Number(leadTimeDays) < 0) {
+            return { error: "Lead time must be a whole number of days" };
+        }
+        fields.leadTimeDays = Number(leadTimeDays);
+    }
+
+    // Leave out anything not sent so updates don't clear it
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+
+    return { fields };
+};
+
+/**
+ * Find an active supplier whose name matches, ignoring case, punctuation and company suffixes
+ */
+const findNameClash = (name, excludeId) => {
+    const query = { normalizedName: Supplier.normalizeName(name), deletedAt: 0 };
+    if (excludeId) query._id = { $ne: excludeId };
+    return Supplier.findOne(query);
+};
+
+/**
+ * Add a new supplier
+ */
+const addSupplier = async (req, res) => {
+    const { name } = req.body;
+
+    if (!name || !String(name).trim()) {
+        return res.status(400).json({ status: "FAILED", message: "Supplier name is required" });
+    }
+
+    const { fields, error } = parseSupplierFields(req.body);
+    if (error) {
+        return res.status(400).json({ status: "FAILED", message: error });
+    }
+
+    try {
+        const existingSupplier = await findNameClash(name);
+        if (existingSupplier) {
+            return res.status(400).json({
+                status: "FAILED",
+                message: `Supplier already exists as "${existingSupplier.name}"`
+            });
+        }
+
+        const newSupplier = new Supplier({
+            name,
+            ...fields,
+            deletedAt: 0
+        });
+
+        await newSupplier.save();
+
+        return res.status(201).json({ status: "SUCCESS", message: "Supplier added successfully", data: newSupplier });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get all non-deleted suppliers
+ */
+const getAllSuppliers = async (req, res) => {
+    try {
+        const suppliers = await Supplier.find({ deletedAt: 0 })
+            .sort({ name: 1 });
+        return res.json({ status: "SUCCESS", data: suppliers });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get all suppliers including deleted ones
+ */
+const getAllSuppliersWithDeleted = async (req, res) => {
+    try {
+        const suppliers = await Supplier.find()
+            .sort({ name: 1 });
+        return res.json({ status: "SUCCESS", data: suppliers });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get a single supplier by ID
+ */
+const getSupplierById = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid supplier ID" });
+    }
+
+    try {
+        const supplier = await Supplier.findOne({ _id: id, deletedAt: 0 });
+
+        if (!supplier) {
+            // Check if the supplier exists but is soft deleted
+            const softDeleted = await Supplier.findById(id);
+            if (softDeleted && softDeleted.deletedAt !== 0) {
+                return res.status(410).json({ status: "FAILED", message: "Supplier has been deleted" });
+            }
+
+            return res.status(404).json({ status: "FAILED", message: "Supplier not found" });
+        }
+
+        return res.json({ status: "SUCCESS", data: supplier });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Update an existing supplier
+ */
+const updateSupplier = async (req, res) => {
+    const { id } = req.params;
+    const { name } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid supplier ID" });
+    }
+
+    if (name !== undefined && !String(name).trim()) {
+        return res.status(400).json({ status: "FAILED", message: "Supplier name cannot be empty" });
+    }
+
+    const { fields, error } = parseSupplierFields(req.body);
+    if (error) {
+        return res.status(400).json({ status: "FAILED", message: error });
+    }
+
+    try {
+        const supplier = await Supplier.findOne({ _id: id, deletedAt: 0 });
+        if (!supplier) {
+            return res.status(404).json({ status: "FAILED", message: "Supplier not found or has been deleted" });
+        }
+
+        if (name !== undefined) {
+            const existingSupplier = await findNameClash(name, id);
+            if (existingSupplier) {
+                return res.status(400).json({
+                    status: "FAILED",
+                    message: `Supplier already exists as "${existingSupplier.name}"`
+                });
+            }
+            supplier.name = name;
+        }
+
+        Object.assign(supplier, fields);
+        await supplier.save();
+
+        return res.json({ status: "SUCCESS", message: "Supplier updated successfully", data: supplier });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Soft delete a supplier
+ */
+const softDeleteSupplier = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid supplier ID" });
+    }
+
+    try {
+        const supplier = await Supplier.findOne({ _id: id, deletedAt: 0 });
+        if (!supplier) {
+            return res.status(404).json({ status: "FAILED", message: "Supplier not found or already deleted" });
+        }
+
+        // Soft delete by setting deletedAt to current timestamp
+        supplier.deletedAt = Date.now();
+        await supplier.save();
+
+        return res.json({ status: "SUCCESS", message: "Supplier soft deleted successfully" });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Restore a soft-deleted supplier
+ */
+const restoreSupplier = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid supplier ID" });
+    }
+
+    try {
+        const supplier = await Supplier.findOne({ _id: id, deletedAt: { $ne: 0 } });
+        if (!supplier) {
+            return res.status(404).json({ status: "FAILED", message: "Supplier not found or is not deleted" });
+        }
+
+        // Check if name now conflicts with an active supplier
+        const existingSupplier = await findNameClash(supplier.name, id);
+        if (existingSupplier) {
+            return res.status(400).json({
+                status: "FAILED",
+                message: "Cannot restore supplier. Supplier name now conflicts with an active supplier."
+            });
+        }
+
+        // Restore by setting deletedAt back to 0
+        supplier.deletedAt = 0;
+        await supplier.save();
+
+        return res.json({ status: "SUCCESS", message: "Supplier restored successfully", data: supplier });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Permanently delete a supplier that no stock batch refers to
+ */
+const permanentlyDeleteSupplier = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid supplier ID" });
+    }
+
+    try {
+        const stockCount = await Stock.countDocuments({ supplier: id });
+        if (stockCount > 0) {
+            return res.status(409).json({
+                status: "FAILED",
+                message: `Supplier is used by ${stockCount} stock batch(es). Soft delete it instead`
+            });
+        }
+
+        const result = await Supplier.findByIdAndDelete(id);
+
+        if (!result) {
+            return res.status(404).json({ status: "FAILED", message: "Supplier not found" });
+        }
+
+        return res.json({ status: "SUCCESS", message: "Supplier permanently deleted" });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Convert the supplier names left on stock batches into supplier records
+ */
+const migrateStockSuppliers = async (req, res) => {
+    try {
+        const summary = await migrateSuppliers();
+        return res.json({
+            status: "SUCCESS",
+            message: `Linked ${summary.stocksUpdated} stock batch(es) to ${summary.suppliers.length} supplier(s)`,
+            data: summary
+        });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    addSupplier,
+    getAllSuppliers,
+    getAllSuppliersWithDeleted,
+    getSupplierById,
+    updateSupplier,
+    softDeleteSupplier,
+    restoreSupplier,
+    permanentlyDeleteSupplier,
+    migrateStockSuppliers
+};
@@ -0,0 +1,168 @@
+const TaxRule = require('../model/TaxRule');
+const Category = require('../model/Category');
+const Product = require('../model/Product');
+const mongoose = require('mongoose');
+
+/**
+ * Validate a tax rule and make sure it doesn't clash with another active rule.
+ * Returns an error message, or null when the rule is valid.
+ */
+const validateTaxRule = async ({ name, rate, appliesTo, category, product }, excludeId) => {
+    if (!name || rate === undefined || rate === null || !appliesTo) {
+        return "Name, rate and appliesTo are required";
+    }
+
+    if (isNaN(rate) || Number(rate) < 0 || Number(rate) > 100) {
+        return "Rate must be between 0 and 100";
+    }
+
+    if (!['default', 'category', 'product'].includes(appliesTo)) {
+        return "appliesTo must be default, category or product";
+    }
+
+    const clash = { appliesTo, deletedAt: 0 };
+    if (excludeId) clash._id = { $ne: excludeId };
+
+    if (appliesTo === 'category') {
+        if (!mongoose.Types.ObjectId.isValid(category) || !(await Category.findOne({ _id: category, deletedAt: 0 }))) {
+            return "A valid category is required";
+        }
+        clash.category = category;
+    }
+
+    if (appliesTo === 'product') {
+        if (!mongoose.Types.ObjectId.isValid(product) || !(await Product.findOne({ _id: product, deletedAt: 0 }))) {
+            return "A valid product is required";
+        }
+        clash.product = product;
+    }
+
+    if (await TaxRule.findOne(clash)) {
+        return appliesTo === 'default'
+            ? "A default tax rule already exists"
+            : `A tax rule already exists for this ${appliesTo}`;
+    }
+
+    return null;
+};
+
+/**
+ * Add a new tax rule
+ */
+const addTaxRule = async (req, res) => {
+    const { name, rate, appliesTo, category, product } = req.body;
+
+    try {
+        const validationError = await validateTaxRule(req.body);
+        if (validationError) {
+            return res.status(400).json({ status: "FAILED", message: validationError });
+        }
+
+        const newTaxRule = new TaxRule({
+            name,
+            rate,
+            appliesTo,
+            category: appliesTo === 'category' ? category : undefined,
+            product: appliesTo === 'product' ? product : undefined,
+            deletedAt: 0
+        });
+
+        await newTaxRule.save();
+
+        return res.status(201).json({ status: "SUCCESS", message: "Tax rule added successfully", data: newTaxRule });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get all non-deleted tax rules
+ */
+const getAllTaxRules = async (req, res) => {
+    try {
+        const taxRules = await TaxRule.find({ deletedAt: 0 })
+            .populate('category')
+            .populate('product')
+            .sort({ createdAt: -1 });
+        return res.json({ status: "SUCCESS", data: taxRules });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Update an existing tax rule
+ */
+const updateTaxRule = async (req, res) => {
+    const { id } = req.params;
+    const { name, rate, appliesTo, category, product } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid tax rule ID" });
+    }
+
+    try {
+        const taxRule = await TaxRule.findOne({ _id: id, deletedAt: 0 });
+        if (!taxRule) {
+            return res.status(404).json({ status: "FAILED", message: "Tax rule not found or has been deleted" });
+        }
+
+        const validationError = await validateTaxRule(req.body, id);
+        if (validationError) {
+            return res.status(400).json({ status: "FAILED", message: validationError });
+        }
+
+        // Update fields
+        taxRule.name = name;
+        taxRule.rate = rate;
+        taxRule.appliesTo = appliesTo;
+        taxRule.category = appliesTo === 'category' ? category : undefined;
+        taxRule.product = appliesTo === 'product' ? product : undefined;
+
+        await taxRule.save();
+
+        return res.json({ status: "SUCCESS", message: "Tax rule updated successfully", data: taxRule });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Soft delete a tax rule
+ */
+const softDeleteTaxRule = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid tax rule ID" });
+    }
+
+    try {
+        const taxRule = await TaxRule.findOne({ _id: id, deletedAt: 0 });
+        if (!taxRule) {
+            return res.status(404).json({ status: "FAILED", message: "Tax rule not found or already deleted" });
+        }
+
+        // Soft delete by setting deletedAt to current timestamp
+        taxRule.deletedAt = Date.now();
+        await taxRule.save();
+
+        return res.json({ status: "SUCCESS", message: "Tax rule soft deleted successfully" });
+
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    addTaxRule,
+    getAllTaxRules,
+    updateTaxRule,
+    softDeleteTaxRule
+};
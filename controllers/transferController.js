@@ -0,0 +1,257 @@
+const Transfer = require('../model/Transfer');
+const Stock = require('../model/Stock');
+const Location = require('../model/Location');
+const mongoose = require('mongoose');
+const { releaseExpiredReservations } = require('../services/reservationService');
+const { recordStockMovement } = require('../services/stockMovementService');
+const { allocateBackorders } = require('../services/backorderService');
+
+/**
+ * Change the quantity a batch holds at one location without changing its total
+ */
+const shiftLocationQuantity = (stock, locationId, change) => {
+    const entry = stock.locations.find(candidate => candidate.location.equals(locationId));
+    if (entry) {
+        entry.quantity += change;
+    } else {
+        stock.locations.push({ location: locationId, quantity: change });
+    }
+};
+
+/**
+ * Send part of a batch from one location to another; it stays in transit until received
+ */
+const sendTransfer = async (req, res) => {
+    const { stock: stockId, fromLocation, toLocation, note } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    if (![stockId, fromLocation, toLocation].every(id => id && mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ status: "FAILED", message: "Valid stock, from location and to location IDs are required" });
+    }
+
+    if (String(fromLocation) === String(toLocation)) {
+        return res.status(400).json({ status: "FAILED", message: "From and to locations must be different" });
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        return res.status(400).json({ status: "FAILED", message: "Quantity must be a positive whole number" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        // Expired reservations stop holding stock before availability is checked
+        await releaseExpiredReservations({ stock: stockId });
+
+        const locationCount = await Location.countDocuments({ _id: { $in: [fromLocation, toLocation] }, deletedAt: 0 }).session(session);
+        if (locationCount !== 2) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Location not found or has been deleted" });
+        }
+
+        const stock = await Stock.findOne({ _id: stockId, deletedAt: 0 }).session(session);
+        if (!stock) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Stock not found" });
+        }
+
+        // Units in transit can't be counted, so batches being counted stay where they are
+        if (stock.countingIn?.stocktake) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(409).json({ status: "FAILED", message: `${stock.batchNumber} is being counted in a stocktake and can't be transferred until the count closes` });
+        }
+
+        const available = Math.min(stock.quantityAt(fromLocation), stock.availableQuantity());
+        if (available < quantity) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: `Only ${Math.max(available, 0)} of ${stock.batchNumber} can be sent from that location` });
+        }
+
+        const [transfer] = await Transfer.create([{
+            stock: stock._id,
+            fromLocation,
+            toLocation,
+            quantity,
+            note,
+            sentBy: req.userId
+        }], { session });
+
+        shiftLocationQuantity(stock, fromLocation, -quantity);
+        stock.inTransitQuantity = (stock.inTransitQuantity || 0) + quantity;
+        await stock.save({ session });
+        await recordStockMovement(stock, 0, {
+            reason: 'transfer',
+            sourceType: 'Transfer',
+            sourceId: transfer._id,
+            user: req.userId,
+            location: fromLocation,
+            locationChange: -quantity,
+            note: 'Transfer sent'
+        }, session);
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.status(201).json({ status: "SUCCESS", message: "Transfer sent", data: transfer });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get transfers, optionally filtered by status and by a location at either end
+ */
+const getAllTransfers = async (req, res) => {
+    const { status, location } = req.query;
+    const filter = {};
+
+    if (status) {
+        if (!Transfer.STATUSES.includes(status)) {
+            return res.status(400).json({ status: "FAILED", message: `Invalid status. Allowed values: ${Transfer.STATUSES.join(', ')}` });
+        }
+        filter.status = status;
+    }
+
+    if (location) {
+        if (!mongoose.Types.ObjectId.isValid(location)) {
+            return res.status(400).json({ status: "FAILED", message: "Invalid location ID" });
+        }
+        filter.$or = [{ fromLocation: location }, { toLocation: location }];
+    }
+
+    try {
+        const transfers = await Transfer.find(filter)
+            .populate({ path: 'stock', select: 'batchNumber size product', populate: { path: 'product', select: 'name productCode' } })
+            .populate('fromLocation', 'name code')
+            .populate('toLocation', 'name code')
+            .sort({ sentAt: -1 });
+
+        return res.json({ status: "SUCCESS", data: transfers });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Get a single transfer by ID
+ */
+const getTransferById = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid transfer ID" });
+    }
+
+    try {
+        const transfer = await Transfer.findById(id)
+            .populate({ path: 'stock', populate: { path: 'product', select: 'name productCode' } })
+            .populate('fromLocation')
+            .populate('toLocation');
+
+        if (!transfer) {
+            return res.status(404).json({ status: "FAILED", message: "Transfer not found" });
+        }
+
+        return res.json({ status: "SUCCESS", data: transfer });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Close an in-transit transfer, putting its quantity at the destination or back at the source
+ */
+const closeTransfer = async (req, res, status) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ status: "FAILED", message: "Invalid transfer ID" });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const transfer = await Transfer.findById(id).session(session);
+        if (!transfer) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Transfer not found" });
+        }
+
+        if (transfer.status !== 'In Transit') {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ status: "FAILED", message: `Transfer has already been ${transfer.status.toLowerCase()}` });
+        }
+
+        const stock = await Stock.findById(transfer.stock).session(session);
+        if (!stock) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ status: "FAILED", message: "Stock not found" });
+        }
+
+        const location = status === 'Received' ? transfer.toLocation : transfer.fromLocation;
+        shiftLocationQuantity(stock, location, transfer.quantity);
+        stock.inTransitQuantity -= transfer.quantity;
+        await stock.save({ session });
+        await recordStockMovement(stock, 0, {
+            reason: 'transfer',
+            sourceType: 'Transfer',
+            sourceId: transfer._id,
+            user: req.userId,
+            location,
+            locationChange: transfer.quantity,
+            note: status === 'Received' ? 'Transfer received' : 'Transfer cancelled'
+        }, session);
+
+        transfer.status = status;
+        transfer.closedBy = req.userId;
+        transfer.closedAt = Date.now();
+        await transfer.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        // Stock arriving at a location goes to that location's waiting backorders first
+        const backordersAllocated = await allocateBackorders(stock._id, req.userId);
+
+        return res.json({ status: "SUCCESS", message: `Transfer ${status.toLowerCase()}`, data: transfer, backordersAllocated });
+
+    } catch (err) {
+        console.error(err);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+    }
+};
+
+/**
+ * Receive a transfer at its destination
+ */
+const receiveTransfer = (req, res) => closeTransfer(req, res, 'Received');
+
+/**
+ * Cancel a transfer; the quantity goes back to where it was sent from
+ */
+const cancelTransfer = (req, res) => closeTransfer(req, res, 'Cancelled');
+
+module.exports = {
+    sendTransfer,
+    getAllTransfers,
+    getTransferById,
+    receiveTransfer,
+    cancelTransfer
+};
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+/**
+ * Let only the scheduler call cron routes. Vercel Cron sends
+ * "Authorization: Bearer <CRON_SECRET>"; without a secret configured the routes are closed.
+ */
+const cronAuth = (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    const token = req.header('Authorization')?.replace('Bearer ', '') || '';
+
+    const valid = secret
+        && token.length === secret.length
+        && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(secret));
+
+    if (!valid) {
+        return res.status(401).json({ message: 'Access denied. Invalid cron secret.' });
+    }
+
+    next();
+};
+
+module.exports = cronAuth;
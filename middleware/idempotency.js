@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../model/IdempotencyKey');
+
+// A claim still processing after this long is treated as abandoned
+const PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Make a create endpoint safe to retry with an Idempotency-Key header.
+ * A repeat of the same request replays the first response; reusing the key
+ * with a different body is rejected. Requests without the header pass through.
+ * Must run after authMiddleware so keys are scoped to the user.
+ */
+const idempotency = async (req, res, next) => {
+    const key = req.header('Idempotency-Key');
+
+    if (!key) {
+        return next();
+    }
+
+    const scope = `${req.method} ${req.baseUrl}${req.path} ${req.userId || ''}`;
+    const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+    try {
+        await IdempotencyKey.create({ key, scope, requestHash });
+    } catch (err) {
+        if (err.code !== 11000) {
+            console.error(err);
+            return res.status(500).json({ status: "FAILED", message: "Internal server error", error: err.message });
+        }
+
+        // The key has been used before
+        const existing = await IdempotencyKey.findOne({ key, scope });
+
+        if (!existing) {
+            return res.status(409).json({ status: "FAILED", message: "Idempotency-Key conflict, please retry" });
+        }
+
+        if (existing.requestHash !== requestHash) {
+            return res.status(422).json({ status: "FAILED", message: "Idempotency-Key has already been used with a different request" });
+        }
+
+        if (existing.status === 'completed') {
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+
+        // A claim left behind by a request that never finished can be taken over
+        const takenOver = existing.createdAt < Date.now() - PROCESSING_TIMEOUT_MS && await IdempotencyKey.findOneAndUpdate(
+            { _id: existing._id, status: 'processing', createdAt: existing.createdAt },
+            { createdAt: Date.now() }
+        );
+
+        if (!takenOver) {
+            return res.status(409).json({ status: "FAILED", message: "A request with this Idempotency-Key is still being processed" });
+        }
+    }
+
+    // Keep the JSON body the handler sends so it can be stored
+    let responseBody;
+    let hasBody = false;
+    let closed = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        responseBody = body;
+        hasBody = true;
+        const result = originalJson(body);
+        // The client went away first, so 'finish' won't come
+        if (closed) settle();
+        return result;
+    };
+
+    // Store the response once it has gone out, however the handler ended
+    let settled = false;
+    const settle = () => {
+        if (settled) return;
+        settled = true;
+
+        const finish = hasBody && res.statusCode < 500
+            ? IdempotencyKey.updateOne(
+                { key, scope },
+                { status: 'completed', responseStatus: res.statusCode, responseBody }
+            )
+            // Server errors and responses without a JSON body are not stored so the request can be retried
+            : IdempotencyKey.deleteOne({ key, scope });
+
+        finish.catch(err => console.error('Error saving idempotency key:', err));
+    };
+
+    res.on('finish', settle);
+    // A dropped connection leaves the claim until the handler answers or the claim goes stale
+    res.on('close', () => {
+        closed = true;
+        if (hasBody) settle();
+    });
+
+    next();
+};
+
+module.exports = idempotency;
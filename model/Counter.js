@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// Named sequences, e.g. { _id: 'invoice', seq: 42 }
+const CounterSchema = new Schema({
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 }
+});
+
+/**
+ * Increment a named sequence and return the new value.
+ * Run it inside the transaction that uses the number so an abort leaves no gap.
+ */
+CounterSchema.statics.next = async function (name, session) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', CounterSchema);
+
+module.exports = Counter;
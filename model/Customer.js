@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 
 const Schema = mongoose.Schema;
 
+const STATES = ['New South Wales', 'Victoria', 'Queensland', 'Western Australia', 'South Australia', 'Tasmania'];
+
 const CustomerSchema = new Schema({
     firstName: { type: String, required: true },
     lastName: { type: String, required: true },
@@ -12,12 +14,16 @@ const CustomerSchema = new Schema({
     state: { 
         type: String, 
         required: true,
-        enum: ['New South Wales', 'Victoria', 'Queensland', 'Western Australia', 'South Australia', 'Tasmania']
+        enum: STATES
     },
+    // Customers can opt out of order emails
+    emailNotifications: { type: Boolean, default: true },
     createdAt: { type: Date, default: Date.now },
     deletedAt: { type: Number, default: 0 }
 });
 
+CustomerSchema.statics.STATES = STATES;
+
 // Add index for faster queries based on deletedAt
 CustomerSchema.index({ deletedAt: 1 });
 
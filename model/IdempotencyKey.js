@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const IdempotencyKeySchema = new Schema({
+    key: { type: String, required: true },
+    // Method, path and user the key was used for
+    scope: { type: String, required: true },
+    requestHash: { type: String, required: true },
+    status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+    responseStatus: { type: Number },
+    responseBody: { type: Schema.Types.Mixed },
+    // Keys are kept for 24 hours
+    createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 }
+});
+
+// A key can only be claimed once per scope
+IdempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+
+module.exports = IdempotencyKey;
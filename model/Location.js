@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const LocationSchema = new Schema({
+    name: { type: String, required: true },
+    // Short code for labels and reports, e.g. "MEL"
+    code: { type: String, required: true, uppercase: true, trim: true },
+    address: { type: String },
+    // Stock changes that don't name a location happen here; exactly one active location is the default
+    isDefault: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now },
+    deletedAt: { type: Number, default: 0 }
+});
+
+// Add index for faster queries based on deletedAt
+LocationSchema.index({ deletedAt: 1 });
+
+const Location = mongoose.model('Location', LocationSchema);
+
+module.exports = Location;
@@ -2,24 +2,163 @@ const mongoose = require('mongoose');
 
 const Schema = mongoose.Schema;
 
+const ORDER_STATUSES = ['Pending', 'Partially Shipped', 'Shipped', 'Delivered', 'Cancelled'];
+
+// Allowed moves from each status; Delivered and Cancelled are final
+const STATUS_TRANSITIONS = {
+    Pending: ['Partially Shipped', 'Shipped', 'Cancelled'],
+    'Partially Shipped': ['Shipped'],
+    Shipped: ['Delivered', 'Cancelled'],
+    Delivered: [],
+    Cancelled: []
+};
+
 const OrderSchema = new Schema({
     customer: { type: Schema.Types.ObjectId, ref: 'Customer', required: true },
+    // Location the order is fulfilled from
+    location: { type: Schema.Types.ObjectId, ref: 'Location' },
     items: [
         {
             stock: { type: Schema.Types.ObjectId, ref: 'Stock', required: true },
-            quantity: { type: Number, required: true }
+            quantity: { type: Number, required: true },
+            // Snapshot of the batch at purchase time so later stock edits don't change past orders
+            productName: { type: String },
+            size: { type: String },
+            unitPrice: { type: Number },
+            lineTotal: { type: Number },
+            // Batch cost per unit at purchase, the line's cost and its margin on sales excl. GST
+            unitCost: { type: Number },
+            costAmount: { type: Number },
+            grossMargin: { type: Number },
+            // Tax rate (percent) at purchase, the line amount after its share of the discount and the tax in it
+            taxRate: { type: Number },
+            netAmount: { type: Number },
+            taxAmount: { type: Number },
+            // Part of quantity still waiting for stock
+            backorderedQuantity: { type: Number, default: 0 },
+            // Quantity sent so far across all shipments
+            shippedQuantity: { type: Number, default: 0 }
+        }
+    ],
+    // How lines ordered by product and size were spread over batches (soonest expiry, then oldest, first)
+    allocations: [
+        {
+            product: { type: Schema.Types.ObjectId, ref: 'Product' },
+            size: { type: String },
+            quantity: { type: Number },
+            batches: [
+                {
+                    stock: { type: Schema.Types.ObjectId, ref: 'Stock' },
+                    batchNumber: { type: String },
+                    quantity: { type: Number }
+                }
+            ],
+            backorderedQuantity: { type: Number, default: 0 }
         }
     ],
+    // Promotion applied when the order was placed
+    promotion: { type: Schema.Types.ObjectId, ref: 'Promotion' },
+    promoCode: { type: String },
+    discountAmount: { type: Number, default: 0 },
+    // Delivery charge (incl. GST) from the customer's state rate table, unless staff override it
+    shippingCharge: { type: Number, default: 0 },
+    shippingRate: { type: Schema.Types.ObjectId, ref: 'ShippingRate' },
+    shippingOverride: {
+        reason: { type: String },
+        calculatedCharge: { type: Number },
+        overriddenBy: { type: Schema.Types.ObjectId, ref: 'User' },
+        overriddenAt: { type: Date }
+    },
+    // Prices include GST: subtotal + taxAmount = totalAmount (shipping included)
+    subtotal: { type: Number },
+    taxAmount: { type: Number },
     totalAmount: { type: Number, required: true },
+    // Total refunded through returns
+    refundedAmount: { type: Number, default: 0 },
+    // When a return was last opened; writing it makes concurrent returns of the order conflict
+    lastReturnAt: { type: Date },
+    // Sum of recorded payments; balanceDue and paymentStatus are worked out on save
+    amountPaid: { type: Number, default: 0 },
+    balanceDue: { type: Number },
+    paymentStatus: {
+        type: String,
+        enum: ['Unpaid', 'Partially Paid', 'Paid', 'Overpaid'],
+        default: 'Unpaid'
+    },
     status: { 
         type: String, 
-        enum: ['Pending', 'Shipped', 'Delivered', 'Cancelled'], 
+        enum: ORDER_STATUSES, 
         default: 'Pending' 
     },
+    statusHistory: [
+        {
+            from: { type: String, enum: [...ORDER_STATUSES, null], default: null },
+            to: { type: String, enum: ORDER_STATUSES, required: true },
+            changedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+            changedAt: { type: Date, default: Date.now },
+            note: { type: String }
+        }
+    ],
+    // Customer emails sent (or skipped) for this order
+    notifications: [
+        {
+            type: { type: String, required: true },
+            to: { type: String },
+            status: { type: String, enum: ['sent', 'failed', 'skipped'], required: true },
+            error: { type: String },
+            sentAt: { type: Date, default: Date.now }
+        }
+    ],
+    // Assigned from a gapless sequence the first time an invoice is issued
+    invoiceNumber: { type: String },
+    invoicedAt: { type: Date },
     deletedAt: { type: Number, default: 0 },
     createdAt: { type: Date, default: Date.now }
 });
 
+// Add indexes for the order list filters
+OrderSchema.index({ deletedAt: 1, createdAt: -1 });
+OrderSchema.index({ customer: 1 });
+OrderSchema.index({ 'items.stock': 1 });
+
+// Invoice numbers must never repeat
+OrderSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
+
+// Keep the balance in step with the total and payments. Refunds are paid out of
+// what was received, so they reduce both sides and leave the balance unchanged.
+OrderSchema.pre('save', function () {
+    this.balanceDue = Math.round((this.totalAmount - (this.amountPaid || 0)) * 100) / 100;
+
+    if (this.balanceDue < 0) {
+        this.paymentStatus = 'Overpaid';
+    } else if (this.balanceDue === 0) {
+        this.paymentStatus = 'Paid';
+    } else {
+        this.paymentStatus = this.amountPaid > 0 ? 'Partially Paid' : 'Unpaid';
+    }
+});
+
+OrderSchema.statics.STATUSES = ORDER_STATUSES;
+OrderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+// Unpaid balance as an aggregation expression, so orders saved before balanceDue existed are included
+OrderSchema.statics.BALANCE_DUE = { $subtract: ["$totalAmount", { $ifNull: ["$amountPaid", 0] }] };
+
+/**
+ * Check whether the order may move to the given status
+ */
+OrderSchema.methods.canTransitionTo = function (status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Change the status and append the move to the status history
+ */
+OrderSchema.methods.setStatus = function (status, userId, note) {
+    this.statusHistory.push({ from: this.status, to: status, changedBy: userId, note });
+    this.status = status;
+};
+
 const Order = mongoose.model('Order', OrderSchema);
 
 module.exports = Order;
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const PaymentSchema = new Schema({
+    order: { type: Schema.Types.ObjectId, ref: 'Order', required: true },
+    method: { type: String, enum: ['cash', 'card', 'bank transfer'], required: true },
+    amount: { type: Number, required: true, min: 0.01 },
+    reference: { type: String },
+    paidAt: { type: Date, default: Date.now },
+    recordedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    // Voided payments are soft deleted
+    deletedAt: { type: Number, default: 0 }
+});
+
+// Add index for faster lookups of an order's payments
+PaymentSchema.index({ order: 1, deletedAt: 1 });
+
+const Payment = mongoose.model('Payment', PaymentSchema);
+
+module.exports = Payment;
@@ -8,6 +8,8 @@ const ProductSchema = new Schema({
     description: { type: String, required: true },
     category: { type: Schema.Types.ObjectId, ref: 'Category', required: true },
     images: [{ type: String }],
+    // Shipping weight of one unit in kilograms
+    weight: { type: Number, default: 0, min: 0 },
     createdAt: { type: Date, default: Date.now },
     deletedAt: { type: Number, default: 0 }
 });
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const PromotionSchema = new Schema({
+    code: { type: String, required: true, uppercase: true, trim: true },
+    description: { type: String },
+    // percentage: value % off the order, fixed: value off the order,
+    // category: value off the items of one category
+    type: { type: String, enum: ['percentage', 'fixed', 'category'], required: true },
+    value: { type: Number, required: true, min: 0 },
+    category: { type: Schema.Types.ObjectId, ref: 'Category' },
+    validFrom: { type: Date, default: Date.now },
+    validTo: { type: Date },
+    // Leave empty for no limit
+    usageLimit: { type: Number, min: 1 },
+    perCustomerLimit: { type: Number, min: 1 },
+    usageCount: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now },
+    deletedAt: { type: Number, default: 0 }
+});
+
+// Add index for faster lookups of active codes
+PromotionSchema.index({ code: 1, deletedAt: 1 });
+
+const Promotion = mongoose.model('Promotion', PromotionSchema);
+
+module.exports = Promotion;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const PURCHASE_ORDER_STATUSES = ['Draft', 'Sent', 'Partially Received', 'Received'];
+
+const PurchaseOrderSchema = new Schema({
+    // PO-000001, taken when the purchase order is raised
+    poNumber: { type: String, required: true, unique: true },
+    supplier: { type: Schema.Types.ObjectId, ref: 'Supplier', required: true },
+    items: [
+        {
+            product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+            size: { type: String, enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL'], required: true },
+            quantity: { type: Number, required: true, min: 1 },
+            unitCost: { type: Number, required: true, min: 0 },
+            // Total that has arrived across all receipts
+            receivedQuantity: { type: Number, default: 0 }
+        }
+    ],
+    status: {
+        type: String,
+        enum: PURCHASE_ORDER_STATUSES,
+        default: 'Draft'
+    },
+    expectedAt: { type: Date },
+    notes: { type: String },
+    // Each delivery, with what arrived against what was still outstanding on the line
+    receipts: [
+        {
+            lines: [
+                {
+                    // _id of the line in PurchaseOrder.items
+                    orderItem: { type: Schema.Types.ObjectId, required: true },
+                    stock: { type: Schema.Types.ObjectId, ref: 'Stock' },
+                    expectedQuantity: { type: Number, required: true },
+                    receivedQuantity: { type: Number, required: true, min: 0 },
+                    // Manufacturer lot and expiry printed on the goods
+                    lotNumber: { type: String },
+                    expiryDate: { type: Date },
+                    note: { type: String }
+                }
+            ],
+            note: { type: String },
+            // Location the delivery was put away at
+            location: { type: Schema.Types.ObjectId, ref: 'Location' },
+            receivedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+            receivedAt: { type: Date, default: Date.now }
+        }
+    ],
+    totalCost: { type: Number, default: 0 },
+    sentAt: { type: Date },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    deletedAt: { type: Number, default: 0 }
+});
+
+PurchaseOrderSchema.statics.STATUSES = PURCHASE_ORDER_STATUSES;
+
+// Add indexes for listing by status and by supplier
+PurchaseOrderSchema.index({ deletedAt: 1, status: 1, createdAt: -1 });
+PurchaseOrderSchema.index({ supplier: 1 });
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', PurchaseOrderSchema);
+
+module.exports = PurchaseOrder;
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const ReservationSchema = new Schema({
+    stock: { type: Schema.Types.ObjectId, ref: 'Stock', required: true },
+    customer: { type: Schema.Types.ObjectId, ref: 'Customer', required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    status: {
+        type: String,
+        enum: ['Active', 'Converted', 'Released', 'Expired'],
+        default: 'Active'
+    },
+    expiresAt: { type: Date, required: true },
+    note: { type: String },
+    // Set when the reservation becomes part of an order
+    order: { type: Schema.Types.ObjectId, ref: 'Order' },
+    closedAt: { type: Date },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Add index for the expiry sweeper
+ReservationSchema.index({ status: 1, expiresAt: 1 });
+
+const Reservation = mongoose.model('Reservation', ReservationSchema);
+
+module.exports = Reservation;
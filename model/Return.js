@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const ReturnSchema = new Schema({
+    order: { type: Schema.Types.ObjectId, ref: 'Order', required: true },
+    items: [
+        {
+            // _id of the line in Order.items
+            orderItem: { type: Schema.Types.ObjectId, required: true },
+            stock: { type: Schema.Types.ObjectId, ref: 'Stock', required: true },
+            productName: { type: String },
+            size: { type: String },
+            quantity: { type: Number, required: true, min: 1 },
+            // Paid per unit, after the line's share of the order discount
+            unitPrice: { type: Number },
+            // What happened to the goods once they came back
+            disposition: { type: String, enum: ['restock', 'write-off'] }
+        }
+    ],
+    reason: { type: String, required: true },
+    status: {
+        type: String,
+        enum: ['Open', 'Received', 'Refunded'],
+        default: 'Open'
+    },
+    refundAmount: { type: Number, default: 0 },
+    refundedAt: { type: Date },
+    receivedAt: { type: Date },
+    receivedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Add index for faster lookups of an order's returns
+ReturnSchema.index({ order: 1 });
+
+const Return = mongoose.model('Return', ReturnSchema);
+
+module.exports = Return;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const ShipmentSchema = new Schema({
+    order: { type: Schema.Types.ObjectId, ref: 'Order', required: true },
+    items: [
+        {
+            // _id of the line in Order.items
+            orderItem: { type: Schema.Types.ObjectId, required: true },
+            stock: { type: Schema.Types.ObjectId, ref: 'Stock', required: true },
+            quantity: { type: Number, required: true, min: 1 }
+        }
+    ],
+    carrier: { type: String, required: true },
+    trackingNumber: { type: String },
+    status: {
+        type: String,
+        enum: ['Shipped', 'Delivered'],
+        default: 'Shipped'
+    },
+    shippedAt: { type: Date, default: Date.now },
+    deliveredAt: { type: Date },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Add index for faster lookups of an order's shipments
+ShipmentSchema.index({ order: 1 });
+
+const Shipment = mongoose.model('Shipment', ShipmentSchema);
+
+module.exports = Shipment;
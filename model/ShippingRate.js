@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const Customer = require('./Customer');
+
+const Schema = mongoose.Schema;
+
+// Delivery charges for one state. The order's weight (kg) or value picks the first band
+// it fits under; orders worth at least freeShippingThreshold ship free.
+const ShippingRateSchema = new Schema({
+    name: { type: String, required: true },
+    state: { type: String, enum: Customer.STATES, required: true },
+    basis: { type: String, enum: ['weight', 'value'], required: true },
+    bands: [
+        {
+            // Upper limit of the band (inclusive); leave empty on the last band for "and above"
+            upTo: { type: Number },
+            charge: { type: Number, required: true, min: 0 }
+        }
+    ],
+    freeShippingThreshold: { type: Number, min: 0 },
+    createdAt: { type: Date, default: Date.now },
+    deletedAt: { type: Number, default: 0 }
+});
+
+// Add index for faster queries based on deletedAt
+ShippingRateSchema.index({ deletedAt: 1, state: 1 });
+
+const ShippingRate = mongoose.model('ShippingRate', ShippingRateSchema);
+
+module.exports = ShippingRate;
@@ -1,19 +1,101 @@
 const mongoose = require('mongoose');
+const Location = require('./Location');
 const Schema = mongoose.Schema;
 
 const StockSchema = new Schema({
     product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+    // Our own batch number; unique across all batches
     batchNumber: { type: String, required: true },
+    // The manufacturer's lot number, when the goods carry one
+    lotNumber: { type: String, trim: true },
+    expiryDate: { type: Date },
+    // When the last expiry alert went out, so each batch is only reported once per expiry date
+    expiryAlertSentAt: { type: Date },
+    // Total across all locations, including anything in transit between them
     quantity: { type: Number, required: true, default: 0},
+    // Part of quantity held by active reservations and not available for sale
+    reservedQuantity: { type: Number, default: 0 },
+    // Where the batch physically is
+    locations: [
+        {
+            location: { type: Schema.Types.ObjectId, ref: 'Location', required: true },
+            quantity: { type: Number, default: 0 }
+        }
+    ],
+    // Part of quantity on its way between locations
+    inTransitQuantity: { type: Number, default: 0 },
     size: { type: String, enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL'], required: true },
+    // Sale price (incl. GST) and what we paid per unit (excl. GST)
     price: { type: Number, required: true },
+    costPrice: { type: Number, min: 0 },
     lowStockAlert: { type: Number, default: 5 },
     lastRestocked: { type: Date, default: Date.now },
-    supplier: { type: String, required: true },
+    supplier: { type: Schema.Types.ObjectId, ref: 'Supplier', required: true },
+    // Set while the batch is part of an open stocktake; blockSales pauses selling it
+    countingIn: {
+        stocktake: { type: Schema.Types.ObjectId, ref: 'Stocktake' },
+        blockSales: { type: Boolean }
+    },
     deletedAt: { type: Number, default: 0 },
     createdAt: { type: Date, default: Date.now }
 });
 
+/**
+ * Quantity that can still be sold
+ */
+StockSchema.methods.availableQuantity = function () {
+    return this.quantity - (this.reservedQuantity || 0) - (this.inTransitQuantity || 0);
+};
+
+/**
+ * Quantity held at one location
+ */
+StockSchema.methods.quantityAt = function (locationId) {
+    const entry = this.locations.find(candidate => candidate.location.equals(locationId));
+    return entry ? entry.quantity : 0;
+};
+
+/**
+ * Change the quantity, at a location when one is given (otherwise at the default location on save)
+ */
+StockSchema.methods.adjustQuantity = function (change, locationId) {
+    this.quantity += change;
+
+    if (locationId) {
+        const entry = this.locations.find(candidate => candidate.location.equals(locationId));
+        if (entry) {
+            entry.quantity += change;
+        } else {
+            this.locations.push({ location: locationId, quantity: change });
+        }
+    }
+};
+
+// Quantity changes made without a location land at the default location, so the
+// locations and transit always add up to the total. Without locations set up only the total is kept.
+StockSchema.pre('save', async function () {
+    const placed = this.locations.reduce((sum, entry) => sum + entry.quantity, 0) + (this.inTransitQuantity || 0);
+    const difference = this.quantity - placed;
+    if (difference === 0) return;
+
+    const defaultLocation = await Location.findOne({ isDefault: true, deletedAt: 0 }).session(this.$session());
+    if (!defaultLocation) return;
+
+    const entry = this.locations.find(candidate => candidate.location.equals(defaultLocation._id));
+    if (entry) {
+        entry.quantity += difference;
+    } else {
+        this.locations.push({ location: defaultLocation._id, quantity: difference });
+    }
+});
+
+// Add index for per-location lookups
+StockSchema.index({ 'locations.location': 1 });
+
+// Batch numbers must never repeat (run `npm run migrate:batch-numbers` first on older data)
+StockSchema.index({ batchNumber: 1 }, { unique: true });
+StockSchema.index({ expiryDate: 1 });
+
 const Stock = mongoose.model('Stock', StockSchema);
 
 module.exports = Stock;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const ADJUSTMENT_REASONS = ['damage', 'theft', 'found', 'correction'];
+
+// A manual change to a batch's quantity. Changes above the approval threshold wait
+// for a second user before they are applied.
+const StockAdjustmentSchema = new Schema({
+    stock: { type: Schema.Types.ObjectId, ref: 'Stock', required: true },
+    product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+    // Signed change to the batch quantity
+    change: { type: Number, required: true },
+    // Location the change applies to (the default location when not given)
+    location: { type: Schema.Types.ObjectId, ref: 'Location' },
+    reasonCode: { type: String, enum: ADJUSTMENT_REASONS, required: true },
+    note: { type: String },
+    // Stocktake whose variance this adjustment posted
+    stocktake: { type: Schema.Types.ObjectId, ref: 'Stocktake' },
+    status: {
+        type: String,
+        enum: ['Pending Approval', 'Applied', 'Rejected'],
+        default: 'Pending Approval'
+    },
+    requestedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    // Second user who approved or rejected a large adjustment
+    reviewedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    rejectionReason: { type: String },
+    // Batch quantity right after the change was applied
+    balance: { type: Number },
+    appliedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+StockAdjustmentSchema.statics.REASONS = ADJUSTMENT_REASONS;
+
+// Add indexes for the approval queue and the report
+StockAdjustmentSchema.index({ status: 1, createdAt: -1 });
+StockAdjustmentSchema.index({ appliedAt: 1, reasonCode: 1 });
+
+const StockAdjustment = mongoose.model('StockAdjustment', StockAdjustmentSchema);
+
+module.exports = StockAdjustment;
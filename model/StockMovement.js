@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// Transfers move quantity between locations without changing the batch total,
+// so their change is 0 and only locationChange moves
+const MOVEMENT_REASONS = ['sale', 'restock', 'adjustment', 'return', 'cancellation', 'transfer'];
+
+// Append-only ledger of every change to a stock batch's quantity
+const StockMovementSchema = new Schema({
+    stock: { type: Schema.Types.ObjectId, ref: 'Stock', required: true },
+    product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+    batchNumber: { type: String },
+    // Signed change to quantity and the batch quantity right after it
+    change: { type: Number, required: true },
+    balance: { type: Number, required: true },
+    // Location the quantity changed at, when stock is tracked per location, the change there and its quantity there afterwards
+    location: { type: Schema.Types.ObjectId, ref: 'Location' },
+    locationChange: { type: Number },
+    locationBalance: { type: Number },
+    reason: { type: String, enum: MOVEMENT_REASONS, required: true },
+    // Document that caused the movement (an order, a return, the stock batch itself...)
+    sourceType: { type: String, enum: ['Order', 'Return', 'Stock', 'PurchaseOrder', 'StockAdjustment', 'Transfer'] },
+    sourceId: { type: Schema.Types.ObjectId, refPath: 'sourceType' },
+    note: { type: String },
+    user: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Movements are never changed or removed once written
+const rejectChange = function (next) {
+    next(new Error('Stock movements are append-only'));
+};
+StockMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectChange);
+StockMovementSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+StockMovementSchema.pre('save', function (next) {
+    if (!this.isNew) return rejectChange(next);
+    next();
+});
+
+StockMovementSchema.statics.REASONS = MOVEMENT_REASONS;
+
+// Add indexes for the batch and product histories
+StockMovementSchema.index({ stock: 1, createdAt: -1 });
+StockMovementSchema.index({ product: 1, createdAt: -1 });
+StockMovementSchema.index({ location: 1, createdAt: -1 });
+
+const StockMovement = mongoose.model('StockMovement', StockMovementSchema);
+
+module.exports = StockMovement;
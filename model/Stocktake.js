@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const StocktakeSchema = new Schema({
+    name: { type: String, required: true },
+    // Which batches were counted
+    scope: {
+        type: { type: String, enum: ['all', 'category', 'supplier'], required: true },
+        category: { type: Schema.Types.ObjectId, ref: 'Category' },
+        supplier: { type: Schema.Types.ObjectId, ref: 'Supplier' }
+    },
+    status: {
+        type: String,
+        enum: ['In Progress', 'Finalised', 'Cancelled'],
+        default: 'In Progress'
+    },
+    // Stop sales of the counted batches until the count closes; otherwise they are only flagged
+    blockSales: { type: Boolean, default: false },
+    lines: [
+        {
+            stock: { type: Schema.Types.ObjectId, ref: 'Stock', required: true },
+            product: { type: Schema.Types.ObjectId, ref: 'Product' },
+            productName: { type: String },
+            batchNumber: { type: String },
+            size: { type: String },
+            // Batch quantity when the stocktake started
+            expectedQuantity: { type: Number, required: true },
+            // Net stock movement on the batch while the count was open; any movement flags the line for review
+            movedDuringCount: { type: Number, default: 0 },
+            flagged: { type: Boolean, default: false },
+            countedQuantity: { type: Number, min: 0 },
+            // Expected quantity when the count was entered (snapshot plus movements so far); the variance is measured against it
+            expectedAtCount: { type: Number },
+            countedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+            countedAt: { type: Date },
+            adjustment: { type: Schema.Types.ObjectId, ref: 'StockAdjustment' }
+        }
+    ],
+    startedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    finalisedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    finalisedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Add index for finding open stocktakes
+StocktakeSchema.index({ status: 1, createdAt: -1 });
+
+const Stocktake = mongoose.model('Stocktake', StocktakeSchema);
+
+module.exports = Stocktake;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// Company suffixes ignored when comparing supplier names, so "ACME Pty Ltd" matches "Acme"
+const COMPANY_SUFFIXES = /\b(pty|ltd|limited|proprietary|inc|incorporated|co|company|corp|corporation|llc)\b/g;
+
+const SupplierSchema = new Schema({
+    name: { type: String, required: true, trim: true },
+    // Lowercased name without punctuation or company suffixes, used to spot duplicates
+    normalizedName: { type: String, required: true },
+    contactName: { type: String },
+    email: { type: String },
+    phone: { type: String },
+    address: { type: String },
+    // Australian Business Number, stored as 11 digits
+    abn: { type: String, match: /^\d{11}$/ },
+    // Days from ordering to delivery
+    leadTimeDays: { type: Number, min: 0 },
+    paymentTerms: { type: String, default: 'Net 30' },
+    notes: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    deletedAt: { type: Number, default: 0 }
+});
+
+/**
+ * Reduce a supplier name to the form used for duplicate checks
+ */
+SupplierSchema.statics.normalizeName = function (name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(COMPANY_SUFFIXES, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+SupplierSchema.pre('validate', function (next) {
+    this.normalizedName = Supplier.normalizeName(this.name);
+    next();
+});
+
+// Add index for faster queries based on deletedAt
+SupplierSchema.index({ deletedAt: 1, normalizedName: 1 });
+
+const Supplier = mongoose.model('Supplier', SupplierSchema);
+
+module.exports = Supplier;
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// A product rule wins over a category rule, which wins over the default rule.
+// A rate of 0 makes the product or category GST-free.
+const TaxRuleSchema = new Schema({
+    name: { type: String, required: true },
+    rate: { type: Number, required: true, min: 0, max: 100 },
+    appliesTo: { type: String, enum: ['default', 'category', 'product'], required: true },
+    category: { type: Schema.Types.ObjectId, ref: 'Category' },
+    product: { type: Schema.Types.ObjectId, ref: 'Product' },
+    createdAt: { type: Date, default: Date.now },
+    deletedAt: { type: Number, default: 0 }
+});
+
+// Add index for faster queries based on deletedAt
+TaxRuleSchema.index({ deletedAt: 1 });
+
+const TaxRule = mongoose.model('TaxRule', TaxRuleSchema);
+
+module.exports = TaxRule;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const TRANSFER_STATUSES = ['In Transit', 'Received', 'Cancelled'];
+
+// Quantity of a batch moving from one location to another
+const TransferSchema = new Schema({
+    stock: { type: Schema.Types.ObjectId, ref: 'Stock', required: true },
+    fromLocation: { type: Schema.Types.ObjectId, ref: 'Location', required: true },
+    toLocation: { type: Schema.Types.ObjectId, ref: 'Location', required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    status: {
+        type: String,
+        enum: TRANSFER_STATUSES,
+        default: 'In Transit'
+    },
+    note: { type: String },
+    sentBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    sentAt: { type: Date, default: Date.now },
+    // Who received or cancelled it
+    closedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    closedAt: { type: Date }
+});
+
+TransferSchema.statics.STATUSES = TRANSFER_STATUSES;
+
+// Add indexes for listing transfers by status and location
+TransferSchema.index({ status: 1, sentAt: -1 });
+TransferSchema.index({ toLocation: 1, status: 1 });
+
+const Transfer = mongoose.model('Transfer', TransferSchema);
+
+module.exports = Transfer;
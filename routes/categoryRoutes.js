@@ -2,10 +2,11 @@ const express = require('express');
 const router = express.Router();
 const categoryController = require('../controllers/categoryController');
 const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 
 // Category routes
 // Add Category route with authentication
-router.post('/add-category', authMiddleware, categoryController.addCategory);
+router.post('/add-category', authMiddleware, idempotency, categoryController.addCategory);
 
 // Get All Categories route (excluding soft deleted categories)
 router.get('/all-categories', categoryController.getAllCategories);
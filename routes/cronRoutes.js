@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const cronController = require('../controllers/cronController');
+const cronAuth = require('../middleware/cronAuth');
+
+// Scheduled jobs, called by Vercel Cron (see vercel.json)
+
+// Release expired stock reservations
+router.get('/release-reservations', cronAuth, cronController.releaseReservations);
+
+// Email alerts for stock close to its expiry date
+router.get('/expiry-alerts', cronAuth, cronController.expiryAlerts);
+
+module.exports = router;
@@ -2,10 +2,11 @@ const express = require('express');
 const router = express.Router();
 const customerController = require('../controllers/customerController');
 const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 
 // Customer routes
 // Add Customer route with authentication
-router.post('/add-customer', authMiddleware, customerController.addCustomer);
+router.post('/add-customer', authMiddleware, idempotency, customerController.addCustomer);
 
 // Get All Customers route (excluding soft deleted customers)
 router.get('/all-customers', authMiddleware, customerController.getAllCustomers);
@@ -9,5 +9,7 @@ router.get('/products', dashboardController.countProducts);
 router.get('/orders', dashboardController.countOrders);
 router.get('/revenue', dashboardController.getRevenue);
 router.get('/stock', dashboardController.countStock);
+router.get('/inventory-valuation', dashboardController.getInventoryValuation);
+router.get('/tax-summary', dashboardController.getTaxSummary);
 
 module.exports = router;
\ No newline at end of file
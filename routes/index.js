@@ -4,7 +4,19 @@ const CategoryRouter = require('./categoryRoutes');
 const CustomerRouter = require('./customerRoutes');
 const OrderRouter = require('./orderRoutes');
 const StockRouter = require('./stockRoutes');
+const ReturnRouter = require('./returnRoutes');
+const PromotionRouter = require('./promotionRoutes');
+const TaxRuleRouter = require('./taxRuleRoutes');
+const PaymentRouter = require('./paymentRoutes');
+const ShippingRateRouter = require('./shippingRateRoutes');
+const SupplierRouter = require('./supplierRoutes');
+const PurchaseOrderRouter = require('./purchaseOrderRoutes');
+const StockAdjustmentRouter = require('./stockAdjustmentRoutes');
+const StocktakeRouter = require('./stocktakeRoutes');
+const LocationRouter = require('./locationRoutes');
+const TransferRouter = require('./transferRoutes');
 const DashboardRouter = require('./dashBoardRoutes');
+const CronRouter = require('./cronRoutes');
 const authMiddleware = require('../middleware/auth');
 
 module.exports = (app) => {
@@ -34,7 +46,19 @@ module.exports = (app) => {
     app.use('/api/customers', CustomerRouter);
     app.use('/api/orders', OrderRouter);
     app.use('/api/stock', StockRouter);
+    app.use('/api/returns', ReturnRouter);
+    app.use('/api/promotions', PromotionRouter);
+    app.use('/api/tax-rules', TaxRuleRouter);
+    app.use('/api/payments', PaymentRouter);
+    app.use('/api/shipping-rates', ShippingRateRouter);
+    app.use('/api/suppliers', SupplierRouter);
+    app.use('/api/purchase-orders', PurchaseOrderRouter);
+    app.use('/api/stock-adjustments', StockAdjustmentRouter);
+    app.use('/api/stocktakes', StocktakeRouter);
+    app.use('/api/locations', LocationRouter);
+    app.use('/api/transfers', TransferRouter);
     app.use('/api/dashboard', DashboardRouter);
+    app.use('/api/cron', CronRouter);
 
     // Protected Test Route
     app.get('/api/protected', authMiddleware, (req, res) => {
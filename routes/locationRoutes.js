@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const locationController = require('../controllers/locationController');
+const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+// Add Location route with authentication (the first location becomes the default)
+router.post('/add-location', authMiddleware, idempotency, locationController.addLocation);
+
+// Get All Locations (excluding soft-deleted)
+router.get('/all-locations', authMiddleware, locationController.getAllLocations);
+
+// Get All Locations including soft-deleted
+router.get('/all-locations/with-deleted', authMiddleware, locationController.getAllLocationsWithDeleted);
+
+// Get the stock held at a location
+router.get('/:id/stock', authMiddleware, locationController.getLocationStock);
+
+// Get One Location by ID
+router.get('/:id', authMiddleware, locationController.getLocationById);
+
+// Update Location route
+router.put('/update-location/:id', authMiddleware, locationController.updateLocation);
+
+// Soft Delete Location route
+router.delete('/delete-location/:id', authMiddleware, locationController.softDeleteLocation);
+
+// Restore soft-deleted location
+router.post('/restore-location/:id', authMiddleware, locationController.restoreLocation);
+
+// Permanently delete location
+router.delete('/permanently-delete-location/:id', authMiddleware, locationController.permanentlyDeleteLocation);
+
+module.exports = router;
@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
+const shipmentController = require('../controllers/shipmentController');
+const documentController = require('../controllers/documentController');
 const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 
 // Add Order route with authentication
-router.post('/add-order', authMiddleware, orderController.addOrder);
+router.post('/add-order', authMiddleware, idempotency, orderController.addOrder);
 
 // Get All Orders (excluding soft-deleted)
 router.get('/all-orders', authMiddleware, orderController.getAllOrders);
@@ -12,6 +15,9 @@ router.get('/all-orders', authMiddleware, orderController.getAllOrders);
 // Get All Orders including soft-deleted
 router.get('/all-orders/with-deleted', authMiddleware, orderController.getAllOrdersWithDeleted);
 
+// Get outstanding backorders per product and size (?product=)
+router.get('/backorders', authMiddleware, orderController.getBackorders);
+
 // Get order counts and statistics
 router.get('/order-counts', authMiddleware, orderController.countOrders);
 
@@ -21,6 +27,26 @@ router.get('/order/:id', authMiddleware, orderController.getOrderById);
 // Update the status of an order
 router.put('/update-order/:id', authMiddleware, orderController.updateOrderStatus);
 
+// Get the status timeline of an order
+router.get('/order/:id/status-history', authMiddleware, orderController.getOrderStatusHistory);
+
+// Override the shipping charge of an order (shippingCharge null clears it)
+router.put('/order/:id/shipping', authMiddleware, orderController.updateOrderShipping);
+
+// Add, change and remove items on a pending order
+router.post('/order/:id/items', authMiddleware, orderController.addOrderItem);
+router.put('/order/:id/items/:itemId', authMiddleware, orderController.updateOrderItem);
+router.delete('/order/:id/items/:itemId', authMiddleware, orderController.removeOrderItem);
+
+// Shipments of an order
+router.post('/order/:id/shipments', authMiddleware, idempotency, shipmentController.createShipment);
+router.get('/order/:id/shipments', authMiddleware, shipmentController.getOrderShipments);
+router.put('/order/:id/shipments/:shipmentId', authMiddleware, shipmentController.updateShipment);
+
+// Invoice and packing slip (?format=html|pdf)
+router.get('/order/:id/invoice', authMiddleware, documentController.getInvoice);
+router.get('/order/:id/packing-slip', authMiddleware, documentController.getPackingSlip);
+
 // Soft Delete Order route
 router.delete('/delete-order/:id', authMiddleware, orderController.softDeleteOrder);
 
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+// Record a payment against an order
+router.post('/add-payment', authMiddleware, idempotency, paymentController.addPayment);
+
+// Get All Payments (optionally filtered by order or method)
+router.get('/all-payments', authMiddleware, paymentController.getAllPayments);
+
+// Void a payment recorded in error
+router.delete('/void-payment/:id', authMiddleware, paymentController.voidPayment);
+
+module.exports = router;
@@ -2,10 +2,11 @@ const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
 const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 const { upload, handleMulterError } = require('../config/uploadConfig');
 
 // Add Product route with authentication
-router.post('/add-product', authMiddleware, upload.array('images', 5), productController.addProduct);
+router.post('/add-product', authMiddleware, upload.array('images', 5), idempotency, productController.addProduct);
 
 // Get All Products route (excluding soft deleted products)
 router.get('/all-products', authMiddleware, productController.getAllProducts);
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+// Add Promotion route with authentication
+router.post('/add-promotion', authMiddleware, idempotency, promotionController.addPromotion);
+
+// Get All Promotions (excluding soft-deleted)
+router.get('/all-promotions', authMiddleware, promotionController.getAllPromotions);
+
+// Get All Promotions including soft-deleted
+router.get('/all-promotions/with-deleted', authMiddleware, promotionController.getAllPromotionsWithDeleted);
+
+// Get One Promotion by ID
+router.get('/:id', authMiddleware, promotionController.getPromotionById);
+
+// Update Promotion route
+router.put('/update-promotion/:id', authMiddleware, promotionController.updatePromotion);
+
+// Soft Delete Promotion route
+router.delete('/delete-promotion/:id', authMiddleware, promotionController.softDeletePromotion);
+
+// Restore a soft-deleted promotion
+router.post('/restore-promotion/:id', authMiddleware, promotionController.restorePromotion);
+
+// Permanently delete a promotion
+router.delete('/permanently-delete-promotion/:id', authMiddleware, promotionController.permanentlyDeletePromotion);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+// Raise a Purchase Order (as a draft)
+router.post('/add-purchase-order', authMiddleware, idempotency, purchaseOrderController.addPurchaseOrder);
+
+// Get All Purchase Orders (?status, ?supplier)
+router.get('/all-purchase-orders', authMiddleware, purchaseOrderController.getAllPurchaseOrders);
+
+// Get One Purchase Order with its receipts
+router.get('/purchase-order/:id', authMiddleware, purchaseOrderController.getPurchaseOrderById);
+
+// Update a draft Purchase Order
+router.put('/update-purchase-order/:id', authMiddleware, purchaseOrderController.updatePurchaseOrder);
+
+// Mark a Purchase Order as sent to the supplier
+router.post('/purchase-order/:id/send', authMiddleware, purchaseOrderController.sendPurchaseOrder);
+
+// Receive goods against a Purchase Order
+router.post('/purchase-order/:id/receive', authMiddleware, idempotency, purchaseOrderController.receivePurchaseOrder);
+
+// Soft Delete Purchase Order route
+router.delete('/delete-purchase-order/:id', authMiddleware, purchaseOrderController.softDeletePurchaseOrder);
+
+// Restore soft-deleted Purchase Order
+router.post('/restore-purchase-order/:id', authMiddleware, purchaseOrderController.restorePurchaseOrder);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const returnController = require('../controllers/returnController');
+const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+// Open a return against an order
+router.post('/add-return', authMiddleware, idempotency, returnController.addReturn);
+
+// Get All Returns (optionally filtered by order or status)
+router.get('/all-returns', authMiddleware, returnController.getAllReturns);
+
+// Get One Return by ID
+router.get('/return/:id', authMiddleware, returnController.getReturnById);
+
+// Mark a return as received and restock or write off the items
+router.put('/receive-return/:id', authMiddleware, returnController.receiveReturn);
+
+// Record the refund for a received return
+router.put('/refund-return/:id', authMiddleware, returnController.refundReturn);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const shippingRateController = require('../controllers/shippingRateController');
+const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+// Add Shipping Rate route with authentication
+router.post('/add-shipping-rate', authMiddleware, idempotency, shippingRateController.addShippingRate);
+
+// Get All Shipping Rates (excluding soft-deleted)
+router.get('/all-shipping-rates', authMiddleware, shippingRateController.getAllShippingRates);
+
+// Update Shipping Rate route
+router.put('/update-shipping-rate/:id', authMiddleware, shippingRateController.updateShippingRate);
+
+// Soft Delete Shipping Rate route
+router.delete('/delete-shipping-rate/:id', authMiddleware, shippingRateController.softDeleteShippingRate);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const stockAdjustmentController = require('../controllers/stockAdjustmentController');
+const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+// Adjust a stock batch with a reason code (large changes wait for approval)
+router.post('/add-stock-adjustment', authMiddleware, idempotency, stockAdjustmentController.addStockAdjustment);
+
+// Get Stock Adjustments (?status, ?reasonCode, ?stock)
+router.get('/all-stock-adjustments', authMiddleware, stockAdjustmentController.getAllStockAdjustments);
+
+// Adjustments by reason and period (?startDate, ?endDate, ?period=day|week|month)
+router.get('/report', authMiddleware, stockAdjustmentController.getAdjustmentReport);
+
+// Approve or reject a pending adjustment (by a different user)
+router.post('/approve-stock-adjustment/:id', authMiddleware, stockAdjustmentController.approveStockAdjustment);
+router.post('/reject-stock-adjustment/:id', authMiddleware, stockAdjustmentController.rejectStockAdjustment);
+
+module.exports = router;
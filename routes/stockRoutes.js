@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const stockController = require('../controllers/stockController');
+const reservationController = require('../controllers/reservationController');
+const stockMovementController = require('../controllers/stockMovementController');
 const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 
 // Create Stock
-router.post('/add-stock', authMiddleware, stockController.addStock);
+router.post('/add-stock', authMiddleware, idempotency, stockController.addStock);
 
 // Get All Stocks
 router.get('/all-stocks', authMiddleware, stockController.getAllStocks);
@@ -12,6 +15,22 @@ router.get('/all-stocks', authMiddleware, stockController.getAllStocks);
 // Get All Stocks (including deleted ones)
 router.get('/all-stocks/with-deleted', authMiddleware, stockController.getAllStocksWithDeleted);
 
+// Reserve stock for a customer until it expires or an order confirms it
+router.post('/reserve-stock', authMiddleware, idempotency, reservationController.reserveStock);
+
+// Get reservations (?status=Active|Converted|Released|Expired|all)
+router.get('/reservations', authMiddleware, reservationController.getReservations);
+
+// Release a reservation early
+router.post('/release-reservation/:id', authMiddleware, reservationController.cancelReservation);
+
+// Batches expiring within N days, including expired ones (?days)
+router.get('/expiring', authMiddleware, stockController.getExpiringStock);
+
+// Movement history of a product's batches and of one batch (?reason, ?location, ?from, ?to, ?page, ?limit)
+router.get('/product/:productId/movements', authMiddleware, stockMovementController.getProductMovements);
+router.get('/:id/movements', authMiddleware, stockMovementController.getStockMovements);
+
 // Get Single Stock
 router.get('/:id', authMiddleware, stockController.getStockById);
 
@@ -30,4 +49,7 @@ router.delete('/permanent-delete-stock/:id', authMiddleware, stockController.per
 // Check All Stocks for Low Stock and Send Alerts
 router.get('/check/low-stock', authMiddleware, stockController.checkLowStock);
 
+// Check for Expiring Stocks and Send Alerts (?days)
+router.get('/check/expiring', authMiddleware, stockController.checkExpiringStock);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const stocktakeController = require('../controllers/stocktakeController');
+const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+// Start a Stocktake (scope all, category or supplier)
+router.post('/add-stocktake', authMiddleware, idempotency, stocktakeController.startStocktake);
+
+// Get All Stocktakes (?status)
+router.get('/all-stocktakes', authMiddleware, stocktakeController.getAllStocktakes);
+
+// Get One Stocktake with its lines
+router.get('/stocktake/:id', authMiddleware, stocktakeController.getStocktakeById);
+
+// Enter counted quantities (one or many)
+router.post('/stocktake/:id/counts', authMiddleware, stocktakeController.recordCounts);
+
+// Counted against expected quantities
+router.get('/stocktake/:id/variances', authMiddleware, stocktakeController.getVariances);
+
+// Post the variances as adjustments and close the count
+router.post('/stocktake/:id/finalise', authMiddleware, stocktakeController.finaliseStocktake);
+
+// Close the count without changing quantities
+router.post('/stocktake/:id/cancel', authMiddleware, stocktakeController.cancelStocktake);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const supplierController = require('../controllers/supplierController');
+const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+// Add Supplier route with authentication
+router.post('/add-supplier', authMiddleware, idempotency, supplierController.addSupplier);
+
+// Get All Suppliers (excluding soft-deleted)
+router.get('/all-suppliers', authMiddleware, supplierController.getAllSuppliers);
+
+// Get All Suppliers including soft-deleted
+router.get('/all-suppliers/with-deleted', authMiddleware, supplierController.getAllSuppliersWithDeleted);
+
+// Turn supplier names on existing stock batches into supplier records
+router.post('/migrate-stock-suppliers', authMiddleware, supplierController.migrateStockSuppliers);
+
+// Get One Supplier by ID
+router.get('/:id', authMiddleware, supplierController.getSupplierById);
+
+// Update Supplier route
+router.put('/update-supplier/:id', authMiddleware, supplierController.updateSupplier);
+
+// Soft Delete Supplier route
+router.delete('/delete-supplier/:id', authMiddleware, supplierController.softDeleteSupplier);
+
+// Restore soft-deleted supplier
+router.post('/restore-supplier/:id', authMiddleware, supplierController.restoreSupplier);
+
+// Permanently delete supplier
+router.delete('/permanently-delete-supplier/:id', authMiddleware, supplierController.permanentlyDeleteSupplier);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const taxRuleController = require('../controllers/taxRuleController');
+const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+// Add Tax Rule route with authentication
+router.post('/add-tax-rule', authMiddleware, idempotency, taxRuleController.addTaxRule);
+
+// Get All Tax Rules (excluding soft-deleted)
+router.get('/all-tax-rules', authMiddleware, taxRuleController.getAllTaxRules);
+
+// Update Tax Rule route
+router.put('/update-tax-rule/:id', authMiddleware, taxRuleController.updateTaxRule);
+
+// Soft Delete Tax Rule route
+router.delete('/delete-tax-rule/:id', authMiddleware, taxRuleController.softDeleteTaxRule);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const transferController = require('../controllers/transferController');
+const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+// Send stock from one location to another
+router.post('/add-transfer', authMiddleware, idempotency, transferController.sendTransfer);
+
+// Get All Transfers (?status, ?location)
+router.get('/all-transfers', authMiddleware, transferController.getAllTransfers);
+
+// Get One Transfer by ID
+router.get('/transfer/:id', authMiddleware, transferController.getTransferById);
+
+// Receive a transfer at its destination
+router.post('/transfer/:id/receive', authMiddleware, transferController.receiveTransfer);
+
+// Cancel a transfer and return the stock to its source
+router.post('/transfer/:id/cancel', authMiddleware, transferController.cancelTransfer);
+
+module.exports = router;
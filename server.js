@@ -1,11 +1,22 @@
 require('dotenv').config();
 const app = require('./config/express');
 const connectDB = require('./config/database');
+const { startReservationSweeper } = require('./services/reservationService');
+const { startExpiryAlertSweeper } = require('./services/expiryService');
 const port = process.env.PORT || 3001;
 
 // Connect to Database
 connectDB();
 
+// Background timers only run on a long-lived server; on Vercel the cron routes do this work
+if (!process.env.VERCEL) {
+    // Release expired stock reservations in the background
+    startReservationSweeper(Number(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000);
+
+    // Email alerts for stock close to its expiry date, once a day by default
+    startExpiryAlertSweeper(Number(process.env.EXPIRY_ALERT_INTERVAL_MS) || 24 * 60 * 60 * 1000);
+}
+
 // Start Server
 app.listen(port, () => {
     console.log(`Server is running on port ${port}`);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Order = require('../model/Order');
+const Stock = require('../model/Stock');
+const { applyTax } = require('./taxService');
+const { applyLineMargins } = require('./costingService');
+const { recordStockMovement } = require('./stockMovementService');
+const { releaseExpiredReservations } = require('./reservationService');
+const roundCurrency = require('../utils/roundCurrency');
+
+/**
+ * Allocate the free quantity of a stock batch to outstanding backorders for
+ * the same product and size, oldest orders first. Returns the quantity allocated.
+ */
+const allocateBackorders = async (stockId, userId) => {
+    await releaseExpiredReservations({ stock: stockId });
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const stock = await Stock.findOne({ _id: stockId, deletedAt: 0 }).session(session);
+        // Batches paused by a stocktake wait until the count closes
+        if (!stock || stock.availableQuantity() <= 0 || stock.countingIn?.blockSales) {
+            await session.commitTransaction();
+            session.endSession();
+            return 0;
+        }
+
+        // Backorders can sit on any batch of the same product and size
+        const batchIds = await Stock.distinct('_id', { product: stock.product, size: stock.size }).session(session);
+        const isMatchingBatch = (id) => batchIds.some(batchId => batchId.equals(id));
+
+        const orders = await Order.find({
+            deletedAt: 0,
+            status: { $nin: ['Cancelled', 'Delivered'] },
+            items: { $elemMatch: { stock: { $in: batchIds }, backorderedQuantity: { $gt: 0 } } }
+        }).sort({ createdAt: 1 }).session(session);
+
+        let allocated = 0;
+
+        for (const order of orders) {
+            if (stock.availableQuantity() <= 0) break;
+
+            for (const item of [...order.items]) {
+                if (!(item.backorderedQuantity > 0) || !isMatchingBatch(item.stock)) continue;
+
+                // Only stock at the order's fulfilment location can go to it
+                const available = order.location
+                    ? Math.min(stock.availableQuantity(), stock.quantityAt(order.location))
+                    : stock.availableQuantity();
+                const quantity = Math.min(item.backorderedQuantity, available);
+                if (quantity <= 0) break;
+
+                stock.adjustQuantity(-quantity, order.location);
+                allocated += quantity;
+                await recordStockMovement(stock, -quantity, {
+                    reason: 'sale',
+                    sourceType: 'Order',
+                    sourceId: order._id,
+                    user: userId,
+                    location: order.location,
+                    note: 'Backorder allocated'
+                }, session);
+
+                if (item.stock.equals(stock._id)) {
+                    item.backorderedQuantity -= quantity;
+                    continue;
+                }
+
+                // Move the allocated part onto a line for this batch, at the price the customer was given
+                item.quantity -= quantity;
+                item.backorderedQuantity -= quantity;
+                item.lineTotal = roundCurrency(item.unitPrice * item.quantity);
+
+                const batchLine = order.items.find(other => other.stock.equals(stock._id) && other.unitPrice === item.unitPrice);
+                if (batchLine) {
+                    batchLine.quantity += quantity;
+                    batchLine.lineTotal = roundCurrency(batchLine.unitPrice * batchLine.quantity);
+                } else {
+                    order.items.push({
+                        stock: stock._id,
+                        quantity,
+                        productName: item.productName,
+                        size: item.size,
+                        unitPrice: item.unitPrice,
+                        lineTotal: roundCurrency(item.unitPrice * quantity),
+                        unitCost: stock.costPrice,
+                        taxRate: item.taxRate,
+                        backorderedQuantity: 0
+                    });
+                }
+
+                if (item.quantity === 0) {
+                    order.items.pull(item._id);
+                }
+            }
+
+            // Lines were split, so spread the discount and tax over them again
+            applyTax(order.items, order.discountAmount || 0);
+            applyLineMargins(order.items);
+            await order.save({ session });
+        }
+
+        await stock.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+        return allocated;
+    } catch (err) {
+        await session.abortTransaction();
+        session.endSession();
+        throw err;
+    }
+};
+
+module.exports = {
+    allocateBackorders
+};
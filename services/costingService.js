@@ -0,0 +1,106 @@
+const Stock = require('../model/Stock');
+const StockMovement = require('../model/StockMovement');
+const roundCurrency = require('../utils/roundCurrency');
+
+const VALUATION_METHODS = ['fifo', 'weighted-average'];
+
+/**
+ * Work out the cost and gross margin of each order line from its unit cost snapshot.
+ * Margin is on the line's sales excluding GST after discount; lines without a cost get none.
+ * Run after applyTax so netAmount and taxAmount are current.
+ */
+const applyLineMargins = (items) => {
+    for (const item of items) {
+        if (item.unitCost === undefined || item.unitCost === null) {
+            item.costAmount = undefined;
+            item.grossMargin = undefined;
+            continue;
+        }
+
+        item.costAmount = roundCurrency(item.unitCost * item.quantity);
+        item.grossMargin = roundCurrency((item.netAmount || 0) - (item.taxAmount || 0) - item.costAmount);
+    }
+};
+
+/**
+ * Value the stock on hand of every product at cost.
+ *  - fifo: sales take the oldest batches first, so what is left is valued at the cost of the batch it sits in
+ *  - weighted-average: every unit is valued at the product's average cost over all units received
+ * Batches without a cost price are left out of the value and reported as unvalued.
+ * Returns { method, products, totals }.
+ */
+const valueInventory = async (method) => {
+    const stocks = await Stock.find({ deletedAt: 0 })
+        .populate('product', 'name productCode')
+        .lean();
+
+    // Units received into each batch, from the movement ledger
+    const receipts = await StockMovement.aggregate([
+        { $match: { stock: { $in: stocks.map(stock => stock._id) }, reason: 'restock', change: { $gt: 0 } } },
+        { $group: { _id: '$stock', received: { $sum: '$change' } } }
+    ]);
+    const receivedByStock = new Map(receipts.map(entry => [String(entry._id), entry.received]));
+    // Batches from before the ledger only have what is left of them
+    const receivedOf = (stock) => Math.max(receivedByStock.get(String(stock._id)) || 0, stock.quantity);
+
+    const products = new Map();
+    for (const stock of stocks) {
+        const key = String(stock.product?._id || stock.product);
+        if (!products.has(key)) {
+            products.set(key, {
+                product: stock.product?._id || stock.product,
+                name: stock.product?.name,
+                productCode: stock.product?.productCode,
+                quantity: 0,
+                unvaluedQuantity: 0,
+                value: 0,
+                receivedQuantity: 0,
+                receivedCost: 0
+            });
+        }
+        const entry = products.get(key);
+
+        if (stock.costPrice === undefined || stock.costPrice === null) {
+            entry.unvaluedQuantity += stock.quantity;
+            continue;
+        }
+
+        entry.quantity += stock.quantity;
+        entry.value += stock.quantity * stock.costPrice;
+
+        const received = receivedOf(stock);
+        entry.receivedQuantity += received;
+        entry.receivedCost += received * stock.costPrice;
+    }
+
+    const rows = [...products.values()].map(entry => {
+        const averageCost = entry.receivedQuantity > 0 ? entry.receivedCost / entry.receivedQuantity : 0;
+        const value = method === 'weighted-average' ? entry.quantity * averageCost : entry.value;
+
+        return {
+            product: entry.product,
+            name: entry.name,
+            productCode: entry.productCode,
+            quantity: entry.quantity,
+            unvaluedQuantity: entry.unvaluedQuantity,
+            ...(method === 'weighted-average' ? { averageCost: roundCurrency(averageCost) } : {}),
+            value: roundCurrency(value)
+        };
+    }).sort((a, b) => b.value - a.value);
+
+    return {
+        method,
+        products: rows,
+        totals: {
+            quantity: rows.reduce((sum, row) => sum + row.quantity, 0),
+            unvaluedQuantity: rows.reduce((sum, row) => sum + row.unvaluedQuantity, 0),
+            value: roundCurrency(rows.reduce((sum, row) => sum + row.value, 0))
+        }
+    };
+};
+
+module.exports = {
+    VALUATION_METHODS,
+    applyLineMargins,
+    valueInventory
+};
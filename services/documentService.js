@@ -0,0 +1,290 @@
+const PDFDocument = require('pdfkit');
+const roundCurrency = require('../utils/roundCurrency');
+
+// Australian retail prices include 10% GST, so the standard GST component is 1/11 of the total
+const GST_DIVISOR = 11;
+
+/**
+ * Format a monetary amount for display
+ */
+const formatMoney = (amount) => `$${(amount || 0).toFixed(2)}`;
+
+/**
+ * Format a date as DD/MM/YYYY
+ */
+const formatDate = (date) => new Date(date).toLocaleDateString('en-AU');
+
+/**
+ * Escape text for safe use inside HTML
+ */
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Collect everything the documents show from a populated order
+ */
+const buildDocumentData = (order) => {
+    const customer = order.customer || {};
+
+    const lines = order.items.map(item => ({
+        description: `${item.productName || item.stock?.product?.name || 'Unknown Product'}${item.taxRate === 0 ? ' (GST-free)' : ''}`,
+        size: item.size || item.stock?.size || '',
+        batch: item.stock?.batchNumber || '',
+        quantity: item.quantity,
+        unitPrice: item.unitPrice ?? item.stock?.price ?? 0,
+        lineTotal: item.lineTotal ?? roundCurrency((item.stock?.price || 0) * item.quantity)
+    }));
+
+    const total = order.totalAmount;
+    // Orders placed before tax was recorded fall back to the standard GST share
+    const gst = order.taxAmount ?? roundCurrency(total / GST_DIVISOR);
+    const discount = order.discountAmount || 0;
+
+    return {
+        store: {
+            name: process.env.STORE_NAME || 'Store',
+            abn: process.env.STORE_ABN || '',
+            address: process.env.STORE_ADDRESS || ''
+        },
+        orderId: String(order._id),
+        orderDate: order.createdAt,
+        invoiceNumber: order.invoiceNumber,
+        invoiceDate: order.invoicedAt || order.createdAt,
+        customer: {
+            name: `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
+            email: customer.email || '',
+            phone: customer.phone || '',
+            addressLines: [customer.address, `${customer.city || ''} ${customer.state || ''}`.trim()].filter(Boolean)
+        },
+        lines,
+        discount,
+        promoCode: order.promoCode,
+        shipping: order.shippingCharge || 0,
+        subtotal: order.subtotal ?? roundCurrency(total - gst),
+        gst,
+        total
+    };
+};
+
+/**
+ * Wrap document content in a printable HTML page
+ */
+const renderHtmlPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 13px; color: #222; margin: 32px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { border-bottom: 1px solid #ccc; padding: 6px 4px; text-align: left; }
+    .num { text-align: right; }
+    .header { display: flex; justify-content: space-between; }
+    .totals { width: 280px; margin-left: auto; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+/**
+ * Render the store and customer block shared by both documents
+ */
+const renderPartiesHtml = (data, heading) => `<div class="header">
+    <div>
+        <h1>${escapeHtml(data.store.name)}</h1>
+        ${data.store.abn ? `<div>ABN ${escapeHtml(data.store.abn)}</div>` : ''}
+        <div>${escapeHtml(data.store.address)}</div>
+    </div>
+    <div>
+        <strong>${escapeHtml(heading)}</strong><br>
+        ${escapeHtml(data.customer.name)}<br>
+        ${data.customer.addressLines.map(escapeHtml).join('<br>')}<br>
+        ${escapeHtml(data.customer.email)}
+    </div>
+</div>`;
+
+/**
+ * Render an invoice as printable HTML
+ */
+const renderInvoiceHtml = (order) => {
+    const data = buildDocumentData(order);
+
+    const rows = data.lines.map(line => `<tr>
+        <td>${escapeHtml(line.description)}</td>
+        <td>${escapeHtml(line.size)}</td>
+        <td>${escapeHtml(line.batch)}</td>
+        <td class="num">${line.quantity}</td>
+        <td class="num">${formatMoney(line.unitPrice)}</td>
+        <td class="num">${formatMoney(line.lineTotal)}</td>
+    </tr>`).join('\n');
+
+    return renderHtmlPage(`Tax Invoice ${data.invoiceNumber}`, `${renderPartiesHtml(data, 'Bill to')}
+<h2>Tax Invoice ${escapeHtml(data.invoiceNumber)}</h2>
+<div>Invoice date: ${formatDate(data.invoiceDate)}</div>
+<div>Order: ${escapeHtml(data.orderId)} (${formatDate(data.orderDate)})</div>
+<table>
+    <thead><tr><th>Item</th><th>Size</th><th>Batch</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+</table>
+<table class="totals">
+    ${data.discount > 0 ? `<tr><td>Discount${data.promoCode ? ` (${escapeHtml(data.promoCode)})` : ''}</td><td class="num">-${formatMoney(data.discount)}</td></tr>` : ''}
+    ${data.shipping > 0 ? `<tr><td>Shipping</td><td class="num">${formatMoney(data.shipping)}</td></tr>` : ''}
+    <tr><td>Subtotal (excl. GST)</td><td class="num">${formatMoney(data.subtotal)}</td></tr>
+    <tr><td>GST</td><td class="num">${formatMoney(data.gst)}</td></tr>
+    <tr><th>Total (incl. GST)</th><th class="num">${formatMoney(data.total)}</th></tr>
+</table>`);
+};
+
+/**
+ * Render a packing slip as printable HTML
+ */
+const renderPackingSlipHtml = (order) => {
+    const data = buildDocumentData(order);
+
+    const rows = data.lines.map(line => `<tr>
+        <td>${escapeHtml(line.description)}</td>
+        <td>${escapeHtml(line.size)}</td>
+        <td>${escapeHtml(line.batch)}</td>
+        <td class="num">${line.quantity}</td>
+        <td></td>
+    </tr>`).join('\n');
+
+    return renderHtmlPage(`Packing Slip ${data.orderId}`, `${renderPartiesHtml(data, 'Ship to')}
+<h2>Packing Slip</h2>
+<div>Order: ${escapeHtml(data.orderId)} (${formatDate(data.orderDate)})</div>
+${data.customer.phone ? `<div>Phone: ${escapeHtml(data.customer.phone)}</div>` : ''}
+<table>
+    <thead><tr><th>Item</th><th>Size</th><th>Batch</th><th class="num">Qty</th><th>Packed</th></tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+</table>`);
+};
+
+/**
+ * Collect a PDFKit document into a buffer
+ */
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+});
+
+/**
+ * Draw the store and customer block shared by both PDFs
+ */
+const drawPartiesPdf = (doc, data, heading) => {
+    doc.fontSize(18).text(data.store.name);
+    doc.fontSize(10);
+    if (data.store.abn) doc.text(`ABN ${data.store.abn}`);
+    if (data.store.address) doc.text(data.store.address);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').text(heading).font('Helvetica');
+    doc.text(data.customer.name);
+    data.customer.addressLines.forEach(line => doc.text(line));
+    if (data.customer.email) doc.text(data.customer.email);
+    doc.moveDown();
+};
+
+/**
+ * Draw a table of columns ({ label, width, align, value }) for each line
+ */
+const drawTablePdf = (doc, columns, lines) => {
+    const drawRow = (values, bold) => {
+        const y = doc.y;
+        let x = doc.page.margins.left;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        columns.forEach((column, index) => {
+            doc.text(values[index], x, y, { width: column.width, align: column.align || 'left' });
+            x += column.width;
+        });
+        doc.moveDown(0.5);
+    };
+
+    drawRow(columns.map(column => column.label), true);
+    lines.forEach(line => drawRow(columns.map(column => String(column.value(line)))));
+    doc.font('Helvetica').moveDown();
+};
+
+/**
+ * Render an invoice as a PDF buffer
+ */
+const renderInvoicePdf = (order) => {
+    const data = buildDocumentData(order);
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+    drawPartiesPdf(doc, data, 'Bill to');
+    doc.fontSize(14).text(`Tax Invoice ${data.invoiceNumber}`).fontSize(10);
+    doc.text(`Invoice date: ${formatDate(data.invoiceDate)}`);
+    doc.text(`Order: ${data.orderId} (${formatDate(data.orderDate)})`);
+    doc.moveDown();
+
+    drawTablePdf(doc, [
+        { label: 'Item', width: 170, value: line => line.description },
+        { label: 'Size', width: 40, value: line => line.size },
+        { label: 'Batch', width: 120, value: line => line.batch },
+        { label: 'Qty', width: 35, align: 'right', value: line => line.quantity },
+        { label: 'Unit price', width: 65, align: 'right', value: line => formatMoney(line.unitPrice) },
+        { label: 'Amount', width: 65, align: 'right', value: line => formatMoney(line.lineTotal) }
+    ], data.lines);
+
+    const x = doc.page.margins.left;
+    const totals = [
+        ...(data.discount > 0 ? [[`Discount${data.promoCode ? ` (${data.promoCode})` : ''}`, `-${formatMoney(data.discount)}`]] : []),
+        ...(data.shipping > 0 ? [['Shipping', formatMoney(data.shipping)]] : []),
+        ['Subtotal (excl. GST)', formatMoney(data.subtotal)],
+        ['GST', formatMoney(data.gst)],
+        ['Total (incl. GST)', formatMoney(data.total)]
+    ];
+    totals.forEach(([label, value], index) => {
+        const y = doc.y;
+        doc.font(index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica');
+        doc.text(label, x + 300, y, { width: 130 });
+        doc.text(value, x + 430, y, { width: 65, align: 'right' });
+    });
+
+    return toBuffer(doc);
+};
+
+/**
+ * Render a packing slip as a PDF buffer
+ */
+const renderPackingSlipPdf = (order) => {
+    const data = buildDocumentData(order);
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+    drawPartiesPdf(doc, data, 'Ship to');
+    doc.fontSize(14).text('Packing Slip').fontSize(10);
+    doc.text(`Order: ${data.orderId} (${formatDate(data.orderDate)})`);
+    if (data.customer.phone) doc.text(`Phone: ${data.customer.phone}`);
+    doc.moveDown();
+
+    drawTablePdf(doc, [
+        { label: 'Item', width: 220, value: line => line.description },
+        { label: 'Size', width: 50, value: line => line.size },
+        { label: 'Batch', width: 150, value: line => line.batch },
+        { label: 'Qty', width: 75, align: 'right', value: line => line.quantity }
+    ], data.lines);
+
+    return toBuffer(doc);
+};
+
+module.exports = {
+    renderInvoiceHtml,
+    renderPackingSlipHtml,
+    renderInvoicePdf,
+    renderPackingSlipPdf
+};
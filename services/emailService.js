@@ -72,7 +72,109 @@ const sendLowStockAlert = async (productName, batchNumber, quantity, recipients)
     });
 };
 
+/**
+ * Send one alert listing stock batches that are expiring soon or have expired
+ */
+const sendExpiryAlert = async (batches, recipients) => {
+    const transporter = createTransporter();
+
+    const lines = batches.map(batch =>
+        `${batch.productName} - Batch: ${batch.batchNumber}${batch.lotNumber ? `, Lot: ${batch.lotNumber}` : ''}, Quantity: ${batch.quantity}, Expires: ${new Date(batch.expiryDate).toLocaleDateString('en-AU')}`
+    ).join('\n');
+
+    const mailOptions = {
+        to: recipients,
+        from: process.env.EMAIL,
+        subject: 'Stock Expiry Alert',
+        text: `This is an automated notification for stock that is expiring soon.\n\n${lines}\n\nPlease sell, return or write off these batches before they expire.`
+    };
+
+    return new Promise((resolve, reject) => {
+        transporter.sendMail(mailOptions, (err, info) => {
+            if (err) {
+                console.error('Error sending email:', err);
+                reject(err);
+            } else {
+                console.log('Email sent:', info.response);
+                resolve(info);
+            }
+        });
+    });
+};
+
+/**
+ * Format the lines and totals of an order for an email body
+ */
+const formatOrderDetails = (order) => {
+    const lines = order.items.map(item =>
+        `${item.productName || 'Item'} (${item.size || '-'}) x ${item.quantity}: $${(item.lineTotal || 0).toFixed(2)}`
+    );
+
+    return `Order: ${order._id}\n
+               ${lines.join('\n               ')}\n
+               ${order.discountAmount ? `Discount: -$${order.discountAmount.toFixed(2)}\n               ` : ''}Total (incl. GST): $${order.totalAmount.toFixed(2)}`;
+};
+
+/**
+ * Send order confirmation email to a customer
+ */
+const sendOrderConfirmation = async (customer, order) => {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+        to: customer.email,
+        from: process.env.EMAIL,
+        subject: 'Order Confirmation',
+        text: `Hi ${customer.firstName},\n\n
+               Thank you for your order. We have received it and will let you know when it ships.\n\n
+               ${formatOrderDetails(order)}\n`
+    };
+
+    return new Promise((resolve, reject) => {
+        transporter.sendMail(mailOptions, (err, info) => {
+            if (err) {
+                console.error('Error sending email:', err);
+                reject(err);
+            } else {
+                console.log('Email sent:', info.response);
+                resolve(info);
+            }
+        });
+    });
+};
+
+/**
+ * Send order status change email to a customer
+ */
+const sendOrderStatusUpdate = async (customer, order) => {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+        to: customer.email,
+        from: process.env.EMAIL,
+        subject: `Your order is now ${order.status}`,
+        text: `Hi ${customer.firstName},\n\n
+               The status of your order has changed to: ${order.status}.\n\n
+               ${formatOrderDetails(order)}\n`
+    };
+
+    return new Promise((resolve, reject) => {
+        transporter.sendMail(mailOptions, (err, info) => {
+            if (err) {
+                console.error('Error sending email:', err);
+                reject(err);
+            } else {
+                console.log('Email sent:', info.response);
+                resolve(info);
+            }
+        });
+    });
+};
+
 module.exports = {
     sendPasswordResetEmail,
-    sendLowStockAlert
+    sendLowStockAlert,
+    sendExpiryAlert,
+    sendOrderConfirmation,
+    sendOrderStatusUpdate
 };
\ No newline at end of file
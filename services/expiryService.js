@@ -0,0 +1,75 @@
+const Stock = require('../model/Stock');
+const User = require('../model/User');
+const emailService = require('./emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days ahead an expiring batch is alerted on
+ */
+const alertWindowDays = () => {
+    const days = Number(process.env.EXPIRY_ALERT_DAYS);
+    return Number.isInteger(days) && days >= 0 ? days : 30;
+};
+
+/**
+ * Active batches with stock left that expire within `days` (including any already expired), soonest first
+ */
+const findExpiringStock = (days, extraFilter = {}) => Stock.find({
+    deletedAt: 0,
+    quantity: { $gt: 0 },
+    expiryDate: { $lte: new Date(Date.now() + days * DAY_MS) },
+    ...extraFilter
+})
+    .populate('product', 'name productCode')
+    .sort({ expiryDate: 1 });
+
+/**
+ * Email all users about expiring batches not alerted on yet.
+ * Returns the number of batches reported.
+ */
+const sendExpiryAlerts = async (days = alertWindowDays()) => {
+    const stocks = await findExpiringStock(days, { expiryAlertSentAt: null });
+    if (stocks.length === 0) return 0;
+
+    const users = await User.find();
+    const userEmails = users.map(user => user.email);
+
+    await emailService.sendExpiryAlert(stocks.map(stock => ({
+        productName: stock.product?.name || 'Unknown Product',
+        batchNumber: stock.batchNumber,
+        lotNumber: stock.lotNumber,
+        quantity: stock.quantity,
+        expiryDate: stock.expiryDate
+    })), userEmails);
+
+    await Stock.updateMany({ _id: { $in: stocks.map(stock => stock._id) } }, { expiryAlertSentAt: Date.now() });
+    return stocks.length;
+};
+
+/**
+ * Run the expiry alerts on an interval
+ */
+const startExpiryAlertSweeper = (intervalMs = DAY_MS) => {
+    const timer = setInterval(async () => {
+        try {
+            const alerted = await sendExpiryAlerts();
+            if (alerted > 0) {
+                console.log(`Sent expiry alerts for ${alerted} stock batch(es)`);
+            }
+        } catch (err) {
+            console.error('Expiry alert sweep failed:', err);
+        }
+    }, intervalMs);
+
+    // Don't keep the process alive just for the sweeper
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    alertWindowDays,
+    findExpiringStock,
+    sendExpiryAlerts,
+    startExpiryAlertSweeper
+};
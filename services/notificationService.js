@@ -0,0 +1,48 @@
+const Order = require('../model/Order');
+const emailService = require('./emailService');
+
+/**
+ * Email the customer about an order event and log the outcome on the order.
+ * event is 'confirmation' or 'status'. Never throws, so callers can fire and forget.
+ */
+const notifyOrderEvent = async (orderId, event) => {
+    try {
+        const order = await Order.findById(orderId).populate('customer');
+        if (!order) return;
+
+        const customer = order.customer;
+        const entry = {
+            type: event === 'confirmation' ? 'Order Confirmation' : `Status: ${order.status}`,
+            to: customer?.email,
+            sentAt: Date.now()
+        };
+
+        if (!customer || !customer.email) {
+            entry.status = 'skipped';
+            entry.error = 'Customer has no email address';
+        } else if (customer.emailNotifications === false) {
+            entry.status = 'skipped';
+            entry.error = 'Customer has opted out of email notifications';
+        } else {
+            try {
+                if (event === 'confirmation') {
+                    await emailService.sendOrderConfirmation(customer, order);
+                } else {
+                    await emailService.sendOrderStatusUpdate(customer, order);
+                }
+                entry.status = 'sent';
+            } catch (err) {
+                entry.status = 'failed';
+                entry.error = err.message;
+            }
+        }
+
+        await Order.updateOne({ _id: order._id }, { $push: { notifications: entry } });
+    } catch (err) {
+        console.error('Error sending order notification:', err);
+    }
+};
+
+module.exports = {
+    notifyOrderEvent
+};
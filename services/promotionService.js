@@ -0,0 +1,53 @@
+const roundCurrency = require('../utils/roundCurrency');
+
+/**
+ * Check a promotion's dates and overall usage limit.
+ * Returns an error message, or null when the code can be used.
+ */
+const checkPromotion = (promotion, now = new Date()) => {
+    if (!promotion || promotion.deletedAt !== 0) {
+        return "Promo code not found";
+    }
+
+    if (promotion.validFrom && now < promotion.validFrom) {
+        return "Promo code is not valid yet";
+    }
+
+    if (promotion.validTo && now > promotion.validTo) {
+        return "Promo code has expired";
+    }
+
+    if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) {
+        return "Promo code usage limit has been reached";
+    }
+
+    return null;
+};
+
+/**
+ * Work out the discount a promotion gives on a set of lines.
+ * Each line is { lineTotal, category }. The discount never exceeds what it applies to.
+ */
+const calculateDiscount = (promotion, lines) => {
+    const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+
+    switch (promotion.type) {
+        case 'percentage':
+            return roundCurrency(Math.min(subtotal, subtotal * promotion.value / 100));
+        case 'fixed':
+            return roundCurrency(Math.min(subtotal, promotion.value));
+        case 'category': {
+            const categoryTotal = lines
+                .filter(line => line.category && String(line.category) === String(promotion.category))
+                .reduce((sum, line) => sum + line.lineTotal, 0);
+            return roundCurrency(Math.min(categoryTotal, promotion.value));
+        }
+        default:
+            return 0;
+    }
+};
+
+module.exports = {
+    checkPromotion,
+    calculateDiscount
+};
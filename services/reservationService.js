@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Reservation = require('../model/Reservation');
+const Stock = require('../model/Stock');
+
+/**
+ * Close an active reservation and put its quantity back on sale.
+ * Returns the closed reservation, or null if it was no longer active.
+ */
+const releaseReservation = async (reservationId, status = 'Released') => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        // Claiming the reservation by status makes a second release a no-op
+        const reservation = await Reservation.findOneAndUpdate(
+            { _id: reservationId, status: 'Active' },
+            { status, closedAt: Date.now() },
+            { new: true, session }
+        );
+
+        if (reservation) {
+            await Stock.updateOne(
+                { _id: reservation.stock },
+                { $inc: { reservedQuantity: -reservation.quantity } },
+                { session }
+            );
+        }
+
+        await session.commitTransaction();
+        session.endSession();
+        return reservation;
+    } catch (err) {
+        await session.abortTransaction();
+        session.endSession();
+        throw err;
+    }
+};
+
+/**
+ * Release every active reservation past its expiry time, optionally only those matching `filter` (e.g. { stock }).
+ * Called before stock availability is read, so expired reservations stop holding stock even without the sweeper.
+ */
+const releaseExpiredReservations = async (filter = {}) => {
+    const expired = await Reservation.find({ ...filter, status: 'Active', expiresAt: { $lte: new Date() } }).select('_id');
+
+    let released = 0;
+    for (const reservation of expired) {
+        if (await releaseReservation(reservation._id, 'Expired')) {
+            released += 1;
+        }
+    }
+
+    return released;
+};
+
+/**
+ * Run the expiry sweep on an interval
+ */
+const startReservationSweeper = (intervalMs = 60 * 1000) => {
+    const timer = setInterval(async () => {
+        try {
+            const released = await releaseExpiredReservations();
+            if (released > 0) {
+                console.log(`Released ${released} expired stock reservation(s)`);
+            }
+        } catch (err) {
+            console.error('Reservation sweep failed:', err);
+        }
+    }, intervalMs);
+
+    // Don't keep the process alive just for the sweeper
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    releaseReservation,
+    releaseExpiredReservations,
+    startReservationSweeper
+};
@@ -0,0 +1,37 @@
+const ShippingRate = require('../model/ShippingRate');
+const roundCurrency = require('../utils/roundCurrency');
+
+/**
+ * Work out the charge of a rate table for an order of the given weight (kg) and value
+ */
+const shippingChargeFor = (rate, { weight, value }) => {
+    if (rate.freeShippingThreshold !== undefined && rate.freeShippingThreshold !== null && value >= rate.freeShippingThreshold) {
+        return 0;
+    }
+
+    const measure = rate.basis === 'weight' ? weight : value;
+    const bands = [...rate.bands].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+
+    // Anything beyond the last band is charged at the last band
+    const band = bands.find(candidate => candidate.upTo === undefined || candidate.upTo === null || measure <= candidate.upTo)
+        || bands[bands.length - 1];
+
+    return band ? roundCurrency(band.charge) : 0;
+};
+
+/**
+ * Quote shipping to a state. Returns { rate, charge }; states without a rate table ship free.
+ */
+const quoteShipping = async (state, { weight, value }, session) => {
+    const rate = await ShippingRate.findOne({ state, deletedAt: 0 }).session(session || null);
+    if (!rate) {
+        return { rate: null, charge: 0 };
+    }
+
+    return { rate, charge: shippingChargeFor(rate, { weight, value }) };
+};
+
+module.exports = {
+    shippingChargeFor,
+    quoteShipping
+};
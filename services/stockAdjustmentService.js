@@ -0,0 +1,60 @@
+const Stock = require('../model/Stock');
+const Location = require('../model/Location');
+const { recordStockMovement } = require('./stockMovementService');
+
+/**
+ * Adjustments moving more units than this (either way) need a second user's approval
+ */
+const approvalThreshold = () => {
+    const threshold = Number(process.env.STOCK_ADJUSTMENT_APPROVAL_THRESHOLD);
+    return Number.isFinite(threshold) && threshold >= 0 ? threshold : 10;
+};
+
+/**
+ * Apply an adjustment to its batch inside a transaction.
+ * Returns an error message when the batch can't take the change.
+ */
+const applyAdjustment = async (adjustment, session) => {
+    const stock = await Stock.findOne({ _id: adjustment.stock, deletedAt: 0 }).session(session);
+    if (!stock) {
+        return "Stock batch not found or has been deleted";
+    }
+
+    // Adjustments without a location apply to the default location, as the save hook would
+    if (!adjustment.location) {
+        const defaultLocation = await Location.findOne({ isDefault: true, deletedAt: 0 }).session(session);
+        adjustment.location = defaultLocation?._id;
+    }
+
+    if (adjustment.location && stock.quantityAt(adjustment.location) + adjustment.change < 0) {
+        return `Adjustment would take ${stock.batchNumber} below zero at its location (on hand there: ${stock.quantityAt(adjustment.location)})`;
+    }
+    // Reserved and in-transit units are spoken for, so only the available quantity can be taken
+    if (adjustment.change < 0 && stock.availableQuantity() + adjustment.change < 0) {
+        return `Adjustment would take ${stock.batchNumber} below its available quantity (available: ${stock.availableQuantity()})`;
+    }
+
+    // An adjustment is not a restock, so lastRestocked stays as it is
+    stock.adjustQuantity(adjustment.change, adjustment.location);
+    await stock.save({ session });
+
+    await recordStockMovement(stock, adjustment.change, {
+        reason: 'adjustment',
+        sourceType: 'StockAdjustment',
+        sourceId: adjustment._id,
+        user: adjustment.reviewedBy || adjustment.requestedBy,
+        location: adjustment.location,
+        note: adjustment.note || adjustment.reasonCode
+    }, session);
+
+    adjustment.status = 'Applied';
+    adjustment.balance = stock.quantity;
+    adjustment.appliedAt = Date.now();
+
+    return null;
+};
+
+module.exports = {
+    approvalThreshold,
+    applyAdjustment
+};
@@ -0,0 +1,61 @@
+const Stock = require('../model/Stock');
+const StockMovement = require('../model/StockMovement');
+const Stocktake = require('../model/Stocktake');
+
+/**
+ * Write a movement for a change already applied to a stock batch.
+ * The batch's current quantity is recorded as the resulting balance.
+ * locationChange defaults to the change; transfers pass a change of 0 and the shift at the location.
+ */
+const recordStockMovement = async (stock, change, { reason, sourceType, sourceId, user, note, location, locationChange = change }, session) => {
+    if (!change && !(location && locationChange)) return null;
+
+    const [movement] = await StockMovement.create([{
+        stock: stock._id,
+        product: stock.product?._id || stock.product,
+        batchNumber: stock.batchNumber,
+        change,
+        balance: stock.quantity,
+        location,
+        locationChange: location ? locationChange : undefined,
+        locationBalance: location ? stock.quantityAt(location) : undefined,
+        reason,
+        sourceType,
+        sourceId,
+        user,
+        note
+    }], { session: session || null });
+
+    // A batch that moves while it is being counted needs a recount.
+    // Transfers leave the batch total as it was, so only the flag changes for them.
+    if (stock.countingIn?.stocktake) {
+        await Stocktake.updateOne(
+            { _id: stock.countingIn.stocktake, status: 'In Progress', 'lines.stock': stock._id },
+            { $inc: { 'lines.$.movedDuringCount': change }, $set: { 'lines.$.flagged': true } },
+            { session: session || null }
+        );
+    }
+
+    return movement;
+};
+
+/**
+ * Change the quantity of a stock batch (at details.location, if given) and record the movement.
+ * Returns the updated batch, or null if it doesn't exist.
+ */
+const moveStock = async (stockId, change, details, session) => {
+    const stock = await Stock.findById(stockId).session(session || null);
+
+    if (stock) {
+        stock.adjustQuantity(change, details.location);
+        await stock.save({ session: session || null });
+        await recordStockMovement(stock, change, details, session);
+    }
+
+    return stock;
+};
+
+module.exports = {
+    recordStockMovement,
+    moveStock
+};
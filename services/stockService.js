@@ -0,0 +1,80 @@
+const Stock = require('../model/Stock');
+const Counter = require('../model/Counter');
+const { recordStockMovement } = require('./stockMovementService');
+
+/**
+ * Next batch number for a product received on a date: BATCH_<productCode>_<DDMMYY>_<NNN>,
+ * where NNN counts the product's batches that day
+ */
+const generateBatchNumber = async (productCode, session, date = new Date()) => {
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const year = String(date.getFullYear()).slice(-2);
+    const prefix = `BATCH_${productCode}_${day}${month}${year}`;
+
+    const sequence = await Counter.next(prefix, session);
+    return `${prefix}_${String(sequence).padStart(3, '0')}`;
+};
+
+/**
+ * Put received goods into stock: top up the batch started today for the same product, size,
+ * supplier, cost, lot and expiry, or start a new one. A new batch sells at `price`, or at the latest
+ * batch's price when none is given. Goods land at `location`, or at the default location when none is given.
+ * Returns { stock, created } or { error }.
+ */
+const receiveIntoStock = async ({ product, size, quantity, price, costPrice, supplier, location, lotNumber, expiryDate }, movement, session) => {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    let stock = await Stock.findOne({
+        product: product._id,
+        size,
+        supplier,
+        costPrice: costPrice ?? null,
+        lotNumber: lotNumber || null,
+        expiryDate: expiryDate || null,
+        createdAt: { $gte: startOfDay },
+        deletedAt: 0
+    }).session(session);
+    const created = !stock;
+
+    if (stock) {
+        stock.adjustQuantity(quantity, location);
+        if (price !== undefined && price !== null) stock.price = price;
+    } else {
+        let salePrice = price;
+        if (salePrice === undefined || salePrice === null) {
+            const latest = await Stock.findOne({ product: product._id, size }).sort({ createdAt: -1 }).session(session);
+            salePrice = latest?.price;
+        }
+
+        if (salePrice === undefined || salePrice === null) {
+            return { error: `A sale price is needed for the first batch of ${product.name} (${size})` };
+        }
+
+        stock = new Stock({
+            product: product._id,
+            batchNumber: await generateBatchNumber(product.productCode, session),
+            lotNumber,
+            expiryDate,
+            costPrice,
+            quantity: 0,
+            size,
+            price: salePrice,
+            supplier,
+            lowStockAlert: 5
+        });
+        stock.adjustQuantity(quantity, location);
+    }
+
+    stock.lastRestocked = Date.now();
+    await stock.save({ session });
+    await recordStockMovement(stock, quantity, { ...movement, reason: 'restock', location }, session);
+
+    return { stock, created };
+};
+
+module.exports = {
+    generateBatchNumber,
+    receiveIntoStock
+};
@@ -0,0 +1,61 @@
+const TaxRule = require('../model/TaxRule');
+const roundCurrency = require('../utils/roundCurrency');
+
+// GST applies at 10% unless a tax rule says otherwise
+const DEFAULT_TAX_RATE = 10;
+
+/**
+ * Load the active tax rules
+ */
+const loadTaxRules = (session) => {
+    return TaxRule.find({ deletedAt: 0 }).session(session || null);
+};
+
+/**
+ * Find the tax rate (percent) for a product ({ _id, category })
+ */
+const taxRateFor = (rules, product) => {
+    const productRule = product && rules.find(rule => rule.appliesTo === 'product' && String(rule.product) === String(product._id));
+    if (productRule) return productRule.rate;
+
+    const categoryRule = product && rules.find(rule => rule.appliesTo === 'category' && String(rule.category) === String(product.category));
+    if (categoryRule) return categoryRule.rate;
+
+    const defaultRule = rules.find(rule => rule.appliesTo === 'default');
+    return defaultRule ? defaultRule.rate : DEFAULT_TAX_RATE;
+};
+
+/**
+ * Spread the order discount over the lines and work out the tax in each.
+ * Prices include tax, so the tax is the rate's share of the discounted line amount.
+ * Sets netAmount and taxAmount on every line and returns the order totals.
+ */
+const applyTax = (items, discountAmount = 0) => {
+    const linesTotal = items.reduce((sum, item) => sum + (item.lineTotal || 0), 0);
+    const discountRatio = linesTotal > 0 ? Math.min(discountAmount, linesTotal) / linesTotal : 0;
+
+    let taxAmount = 0;
+
+    for (const item of items) {
+        const rate = item.taxRate ?? DEFAULT_TAX_RATE;
+        item.netAmount = roundCurrency((item.lineTotal || 0) * (1 - discountRatio));
+        item.taxAmount = roundCurrency(item.netAmount * rate / (100 + rate));
+        taxAmount += item.taxAmount;
+    }
+
+    const total = roundCurrency(linesTotal - Math.min(discountAmount, linesTotal));
+    taxAmount = roundCurrency(taxAmount);
+
+    return {
+        subtotal: roundCurrency(total - taxAmount),
+        taxAmount,
+        total
+    };
+};
+
+module.exports = {
+    DEFAULT_TAX_RATE,
+    loadTaxRules,
+    taxRateFor,
+    applyTax
+};
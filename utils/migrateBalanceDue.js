@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Order = require('../model/Order');
+
+// Same rounding and rules as the Order pre-save hook
+const BALANCE_DUE = { $round: [Order.BALANCE_DUE, 2] };
+
+/**
+ * Work out balanceDue and paymentStatus for orders saved before they were recorded,
+ * so they sort and filter like newer orders. Safe to run more than once.
+ * Returns the number of orders updated.
+ */
+const migrateBalanceDue = async () => {
+    const result = await Order.collection.updateMany(
+        { balanceDue: { $exists: false } },
+        [
+            { $set: { amountPaid: { $ifNull: ['$amountPaid', 0] }, balanceDue: BALANCE_DUE } },
+            { $set: { paymentStatus: { $switch: {
+                branches: [
+                    { case: { $lt: ['$balanceDue', 0] }, then: 'Overpaid' },
+                    { case: { $eq: ['$balanceDue', 0] }, then: 'Paid' },
+                    { case: { $gt: ['$amountPaid', 0] }, then: 'Partially Paid' }
+                ],
+                default: 'Unpaid'
+            }}}}
+        ]
+    );
+
+    return result.modifiedCount;
+};
+
+// Run directly with `npm run migrate:balance-due`
+if (require.main === module) {
+    require('dotenv').config();
+
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(migrateBalanceDue)
+        .then(updated => console.log(`Updated ${updated} orders`))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = migrateBalanceDue;
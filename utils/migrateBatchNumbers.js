@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Stock = require('../model/Stock');
+const Counter = require('../model/Counter');
+
+// Batch numbers from before the per-day sequence: BATCH_<productCode>_<DDMMYY>
+const LEGACY_BATCH_NUMBER = /^BATCH_.+_\d{6}$/;
+
+/**
+ * Give batches numbered before the per-day sequence a unique number by appending
+ * their place in that day's sequence (oldest first), then build the unique index.
+ * Safe to run more than once. Returns the batches renumbered.
+ */
+const migrateBatchNumbers = async () => {
+    // Read the raw documents so soft-deleted batches are renumbered too
+    const legacyStocks = await Stock.collection
+        .find({ batchNumber: { $regex: LEGACY_BATCH_NUMBER } }, { projection: { batchNumber: 1 } })
+        .sort({ createdAt: 1, _id: 1 })
+        .toArray();
+
+    const renumbered = [];
+
+    for (const stock of legacyStocks) {
+        // The counter is shared with new batches, so later batches that day continue the sequence
+        const sequence = await Counter.next(stock.batchNumber);
+        const batchNumber = `${stock.batchNumber}_${String(sequence).padStart(3, '0')}`;
+
+        await Stock.collection.updateOne({ _id: stock._id }, { $set: { batchNumber } });
+        renumbered.push({ stock: stock._id, from: stock.batchNumber, to: batchNumber });
+    }
+
+    await Stock.createIndexes();
+
+    return renumbered;
+};
+
+// Run directly with `npm run migrate:batch-numbers`
+if (require.main === module) {
+    require('dotenv').config();
+
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(migrateBatchNumbers)
+        .then(renumbered => {
+            renumbered.forEach(entry => console.log(`${entry.from} -> ${entry.to}`));
+            console.log(`Renumbered ${renumbered.length} stock batches`);
+        })
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = migrateBatchNumbers;
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Stock = require('../model/Stock');
+const Supplier = require('../model/Supplier');
+
+/**
+ * Turn the free-text supplier names on stock batches into Supplier records.
+ * Names that only differ in case, punctuation or company suffix share one supplier,
+ * named after the spelling used most often. Safe to run more than once.
+ * Returns a summary of the suppliers used and the batches updated.
+ */
+const migrateSuppliers = async () => {
+    // Read the raw documents: the schema now expects an ObjectId here
+    const legacyStocks = await Stock.collection
+        .find({ supplier: { $type: 'string' } }, { projection: { supplier: 1 } })
+        .toArray();
+
+    // Group the batches by normalised supplier name
+    const groups = new Map();
+    for (const stock of legacyStocks) {
+        const key = Supplier.normalizeName(stock.supplier);
+        if (!key) continue;
+
+        if (!groups.has(key)) groups.set(key, { spellings: new Map(), stockIds: [] });
+        const group = groups.get(key);
+        const spelling = stock.supplier.trim();
+        group.spellings.set(spelling, (group.spellings.get(spelling) || 0) + 1);
+        group.stockIds.push(stock._id);
+    }
+
+    const suppliers = [];
+    let stocksUpdated = 0;
+
+    for (const [key, group] of groups) {
+        let supplier = await Supplier.findOne({ normalizedName: key, deletedAt: 0 });
+        const created = !supplier;
+
+        if (!supplier) {
+            const [name] = [...group.spellings.entries()].sort((a, b) => b[1] - a[1])[0];
+            supplier = await Supplier.create({ name, deletedAt: 0 });
+        }
+
+        const result = await Stock.collection.updateMany(
+            { _id: { $in: group.stockIds } },
+            { $set: { supplier: supplier._id } }
+        );
+        stocksUpdated += result.modifiedCount;
+
+        suppliers.push({
+            supplier: supplier._id,
+            name: supplier.name,
+            created,
+            mergedNames: [...group.spellings.keys()],
+            stocks: group.stockIds.length
+        });
+    }
+
+    return { suppliers, stocksUpdated };
+};
+
+// Run directly with `npm run migrate:suppliers`
+if (require.main === module) {
+    require('dotenv').config();
+
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(migrateSuppliers)
+        .then(summary => {
+            summary.suppliers.forEach(entry => {
+                console.log(`${entry.created ? 'Created' : 'Matched'} "${entry.name}" from ${entry.mergedNames.map(name => `"${name}"`).join(', ')} (${entry.stocks} batches)`);
+            });
+            console.log(`Updated ${summary.stocksUpdated} stock batches`);
+        })
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = migrateSuppliers;
@@ -0,0 +1,6 @@
+/**
+ * Round a monetary amount to cents
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = roundCurrency;